@@ -0,0 +1,117 @@
+// Build per-ASN prefix lists from a local ASN-to-prefix dataset
+// - Reads ASN_DATA_PATH (comma-separated files), by extension/content:
+//     .mmdb   MaxMind DB with AS numbers (GeoLite2-ASN, DB-IP ASN lite; shared/mmdb.mjs)
+//     CSV     GeoLite2-ASN blocks, DB-IP/iptoasn style start,end,asn rows (shared/ipcsv.mjs)
+//     pfx2as  RouteViews/CAIDA prefix<TAB>length<TAB>asn lines (MOAS "a_b" and AS sets
+//             "a,b" list the prefix under every AS)
+// - ASN_LIST=13335,62041 keeps only these ASNs (a full dataset has ~80k)
+// - Emits dist/asn-json/AS<n>.json with { name, cidr4, cidr6 } like geoip groups
+//   (prefixes merged and sorted numerically via shared/cidr.mjs)
+// - SRS files come from npm run build:srs-geoip; /asn serves both (see README)
+//
+// Node 18+ required.
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { aggregateCidrs, formatIPv4, formatIPv6, rangeToCidrs } from "../shared/cidr.mjs";
+import { parseIpCsv } from "../shared/ipcsv.mjs";
+import { openMmdb, recordGeo, walkMmdb } from "../shared/mmdb.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const OUT_DIR = path.join(REPO_ROOT, "dist", "asn-json");
+const PFX2AS_RE = /^\S+\t\d+\t\S+$/;
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const parseAsnList = (value) => {
+  if (!value) return null;
+  const out = new Set();
+  for (const part of value.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const m = /^(?:AS)?(\d+)$/i.exec(part);
+    if (!m) throw new Error(`ASN_LIST: invalid AS number "${part}"`);
+    out.add(Number(m[1]));
+  }
+  return out;
+};
+
+const readPfx2as = (text, add) => {
+  let skipped = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("#")) continue;
+    const [addr, len, asns] = line.split("\t");
+    const cidr = `${addr}/${len}`;
+    const numbers = (asns || "").split(/[_,]/).map(Number).filter((n) => Number.isInteger(n) && n > 0);
+    if (numbers.length === 0) {
+      skipped++;
+      continue;
+    }
+    for (const asn of numbers) add(asn, cidr);
+  }
+  return skipped;
+};
+
+const readInput = async (file, add) => {
+  const buf = await fsp.readFile(path.resolve(REPO_ROOT, file));
+  console.log(`Reading ${file} (${(buf.byteLength / (1024 * 1024)).toFixed(2)} MB)`);
+  if (file.toLowerCase().endsWith(".mmdb")) {
+    const db = openMmdb(new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength));
+    walkMmdb(db, (range, prefix, record) => {
+      const { asn } = recordGeo(record);
+      if (asn !== null) add(asn, `${range.v4 ? formatIPv4(range.from) : formatIPv6(range.from)}/${prefix}`);
+    });
+    return 0;
+  }
+  const text = buf.toString("utf8");
+  const first = text.slice(0, 512).split(/\r?\n/).find((l) => l.trim() && !l.startsWith("#")) || "";
+  if (PFX2AS_RE.test(first)) return readPfx2as(text, add);
+  const { rows, skipped } = parseIpCsv(text);
+  for (const { range, asn } of rows) {
+    if (asn !== null) for (const cidr of rangeToCidrs(range)) add(asn, cidr);
+  }
+  return skipped;
+};
+
+const main = async () => {
+  const files = (process.env.ASN_DATA_PATH || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (files.length === 0) {
+    throw new Error("Set ASN_DATA_PATH to an ASN-to-prefix file (.mmdb, CSV or pfx2as), comma-separated for several");
+  }
+  const only = parseAsnList(process.env.ASN_LIST);
+
+  /** @type {Map<number, string[]>} */
+  const byAsn = new Map();
+  const add = (asn, cidr) => {
+    if (only && !only.has(asn)) return;
+    if (!byAsn.has(asn)) byAsn.set(asn, []);
+    byAsn.get(asn).push(cidr);
+  };
+  for (const file of files) {
+    const skipped = await readInput(file, add);
+    if (skipped > 0) console.warn(`${file}: skipped ${skipped} unparsable rows`);
+  }
+  if (only) {
+    const missing = Array.from(only).filter((asn) => !byAsn.has(asn));
+    if (missing.length > 0) console.warn("No prefixes for:", missing.map((n) => `AS${n}`).join(", "));
+  }
+
+  await fsp.rm(OUT_DIR, { recursive: true, force: true });
+  await ensureDir(OUT_DIR);
+  for (const [asn, cidrs] of byAsn) {
+    const all = aggregateCidrs(cidrs);
+    const name = `AS${asn}`;
+    const out = { name, cidr4: all.filter((c) => !c.includes(":")), cidr6: all.filter((c) => c.includes(":")) };
+    await fsp.writeFile(path.join(OUT_DIR, `${name}.json`), JSON.stringify(out) + "\n", "utf8");
+  }
+  console.log(`Done. Wrote ${byAsn.size} ASN prefix lists to ${OUT_DIR}`);
+};
+
+main().catch((err) => {
+  console.error("Failed to build ASN lists:", err);
+  process.exit(1);
+});
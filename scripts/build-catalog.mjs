@@ -0,0 +1,53 @@
+// Build the search catalogs behind /geosite?q=… and /geoip?q=… (and the browse page at /)
+// - Reads the per-category metadata in dist/geosite-meta and dist/geoip-meta
+//   (run after build:geosite, build:geoip and build:misc)
+// - Emits dist/geosite-catalog.json ({ name: { total, counts, attrs } }) and
+//   dist/geoip-catalog.json ({ name: { total, counts } }), uploaded to R2 as <kind>/catalog.json,
+//   so a search reads one object instead of every metadata file
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DIST_DIR = path.resolve(__dirname, "..", "dist");
+const KINDS = ["geosite", "geoip"];
+
+const listMetaFiles = async (dir) => {
+  try {
+    return (await fsp.readdir(dir)).filter((f) => f.endsWith(".json"));
+  } catch (err) {
+    if (err && err.code === "ENOENT") return [];
+    throw err;
+  }
+};
+
+const main = async () => {
+  for (const kind of KINDS) {
+    const metaDir = path.join(DIST_DIR, `${kind}-meta`);
+    const files = await listMetaFiles(metaDir);
+    if (files.length === 0) {
+      console.warn(`No ${kind} metadata in ${metaDir}; skipping`);
+      continue;
+    }
+    const entries = [];
+    for (const file of files) {
+      const meta = JSON.parse(await fsp.readFile(path.join(metaDir, file), "utf8"));
+      const entry = { total: meta.total, counts: meta.counts };
+      if (meta.attrs) entry.attrs = meta.attrs;
+      entries.push([meta.name, entry]);
+    }
+    // Use deterministic ordering
+    entries.sort((a, b) => a[0].localeCompare(b[0], "en", { sensitivity: "base" }));
+    const outPath = path.join(DIST_DIR, `${kind}-catalog.json`);
+    await fsp.writeFile(outPath, JSON.stringify(Object.fromEntries(entries)) + "\n", "utf8");
+    console.log(` - ${outPath}: ${entries.length} entries`);
+  }
+};
+
+main().catch((err) => {
+  console.error("Failed to build search catalogs:", err);
+  process.exit(1);
+});
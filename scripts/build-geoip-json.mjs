@@ -1,26 +1,42 @@
-// Build geoip JSON files from Loyalsoldier/v2ray-rules-dat geoip.dat
-// - Downloads latest geoip.dat from jsDelivr release (or use GEOIP_DAT_PATH)
-// - Parses with protobufjs (Xray proto for GeoIPList)
+// Build geoip JSON files from the geoip.dat sources in sources.json
+// - Downloads each enabled source (Loyalsoldier by default) or reads it from disk;
+//   GEOIP_DAT_PATH replaces the first source with a local file. With SOURCES_DIR set, url
+//   sources are read from the files scripts/source-versions.mjs downloaded there instead
+// - Parses with protobufjs (Xray proto for GeoIPList); "format": "mmdb" sources read a
+//   MaxMind DB (GeoLite2, DB-IP lite; shared/mmdb.mjs) and "format": "csv" sources a
+//   country/ASN CSV export (shared/ipcsv.mjs), grouped by country code (CN) and/or AS
+//   number (AS13335) per the source's "group"
+// - Merges sources by precedence like build-geosite-json.mjs (see shared/sources.mjs);
+//   metadata records the providing source and, for unions, all contributors
 // - Emits per-category JSON to dist/geoip-json/<name>.json with { name, cidr4, cidr6 }
+//   (prefixes merged and sorted numerically via shared/cidr.mjs)
+// - Emits per-category metadata to dist/geoip-meta/<name>.json
+//   (CIDR counts, sha256, source input hash, build time)
 // - Emits geoip-index.json mapping name -> https://direct.sleepstars.de/geoip/<name>
 //
 // Node 18+ required.
 
 import fsp from "node:fs/promises";
 import path from "node:path";
+import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
 import protobuf from "protobufjs";
+import { aggregateCidrs, formatIPv4, formatIPv6, rangeToCidrs } from "../shared/cidr.mjs";
+import { parseIpCsv, parseLocationsCsv } from "../shared/ipcsv.mjs";
+import { openMmdb, recordGeo, walkMmdb } from "../shared/mmdb.mjs";
+import { downloadedSourceName, mergeSources, parseSourcesConfig } from "../shared/sources.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const OUT_DIR = path.resolve(__dirname, "..", "dist");
 const OUT_JSON_DIR = path.join(OUT_DIR, "geoip-json");
+const OUT_META_DIR = path.join(OUT_DIR, "geoip-meta");
 const INDEX_JSON_PATH = path.resolve(__dirname, "..", "geoip-index.json");
 const README_TABLE_PATH = path.resolve(__dirname, "..", "geoip_files.md");
-
-const GEOIP_DAT_URL =
-  "https://cdn.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geoip.dat";
+const REPO_ROOT = path.resolve(__dirname, "..");
+const SOURCES_PATH = process.env.SOURCES_CONFIG || path.join(REPO_ROOT, "sources.json");
+const SOURCES_DIR = process.env.SOURCES_DIR ? path.resolve(REPO_ROOT, process.env.SOURCES_DIR) : null;
 
 // Minimal proto for geoip.dat
 const PROTO = `
@@ -55,6 +71,8 @@ const decodeGeoIPList = (buf) => {
   return object; // { entry: [ { country_code, cidr: [ { ip, prefix } ] } ] }
 };
 
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
 const toIPv4String = (u8) => {
   if (!u8 || u8.length !== 4) return null;
   return `${u8[0]}.${u8[1]}.${u8[2]}.${u8[3]}`;
@@ -107,26 +125,9 @@ const toIPv6String = (u8) => {
   return s;
 };
 
-const main = async () => {
-  let buf;
-  const local = process.env.GEOIP_DAT_PATH || process.env.GEO_DAT_PATH;
-  if (local) {
-    console.log("Using local geoip.dat:", local);
-    const b = await fsp.readFile(local);
-    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
-  } else {
-    console.log("Downloading geoip.dat from", GEOIP_DAT_URL);
-    buf = await downloadArrayBuffer(GEOIP_DAT_URL);
-  }
-  console.log("Downloaded", (buf.byteLength / (1024 * 1024)).toFixed(2), "MB");
-
-  console.log("Decoding geoip.dat ...");
-  const list = decodeGeoIPList(buf);
-  const entries = list.entry || [];
-  console.log("Decoded groups:", entries.length);
-
-  await ensureDir(OUT_JSON_DIR);
-
+// geoip.dat → [{ name, data: { v4, v6 } }] with CIDR strings (aggregated after merging)
+const decodeGroups = (buf) => {
+  const entries = decodeGeoIPList(buf).entry || [];
   const groups = [];
   for (const g of entries) {
     const name = String(g.country_code || "").trim();
@@ -145,10 +146,126 @@ const main = async () => {
         if (s) v6.push(`${s}/${prefix}`);
       }
     }
-    v4.sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
-    v6.sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
-    const out = { name, cidr4: v4, cidr6: v6 };
-    await fsp.writeFile(path.join(OUT_JSON_DIR, `${name}.json`), JSON.stringify(out) + "\n", "utf8");
+    groups.push({ name, data: { v4, v6 } });
+  }
+  return groups;
+};
+
+// Networks { v4, cidrs, country, asn } → [{ name, data: { v4, v6 } }] like decodeGroups
+const groupNetworks = (networks, group) => {
+  const groups = new Map();
+  const add = (name, v4, cidrs) => {
+    if (!groups.has(name)) groups.set(name, { v4: [], v6: [] });
+    groups.get(name)[v4 ? "v4" : "v6"].push(...cidrs);
+  };
+  for (const { v4, cidrs, country, asn } of networks) {
+    if (group.includes("country") && country) add(country.toUpperCase(), v4, cidrs);
+    if (group.includes("asn") && asn !== null) add(`AS${asn}`, v4, cidrs);
+  }
+  return Array.from(groups, ([name, data]) => ({ name, data }));
+};
+
+const mmdbNetworks = (u8) => {
+  const db = openMmdb(u8);
+  console.log(`MaxMind DB: ${db.metadata.database_type || "unknown type"}, IPv${db.metadata.ip_version}`);
+  const networks = [];
+  walkMmdb(db, (range, prefix, record) => {
+    const cidr = `${range.v4 ? formatIPv4(range.from) : formatIPv6(range.from)}/${prefix}`;
+    networks.push({ v4: range.v4, cidrs: [cidr], ...recordGeo(record) });
+  });
+  return networks;
+};
+
+const csvNetworks = async (text, spec) => {
+  const locations = spec.locations
+    ? parseLocationsCsv(await fsp.readFile(path.resolve(REPO_ROOT, spec.locations), "utf8"))
+    : null;
+  const { rows, skipped } = parseIpCsv(text, locations);
+  if (skipped > 0) console.warn(`Source ${spec.id}: skipped ${skipped} unparsable CSV rows`);
+  return rows.map(({ range, country, asn }) => ({ v4: range.v4, cidrs: rangeToCidrs(range), country, asn }));
+};
+
+const INPUT_NAMES = { dat: "geoip.dat", mmdb: "MaxMind DB", csv: "CSV" };
+
+const readSource = async (spec) => {
+  const what = INPUT_NAMES[spec.format];
+  let buf;
+  if (spec.path) {
+    console.log(`Using local ${what} for ${spec.id}:`, spec.path);
+    const b = await fsp.readFile(path.resolve(REPO_ROOT, spec.path));
+    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+  } else if (SOURCES_DIR) {
+    const file = path.join(SOURCES_DIR, downloadedSourceName("geoip", spec));
+    console.log(`Using downloaded ${what} for ${spec.id}:`, file);
+    const b = await fsp.readFile(file);
+    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+  } else {
+    console.log(`Downloading ${what} for ${spec.id} from`, spec.url);
+    buf = await downloadArrayBuffer(spec.url);
+  }
+  console.log("Downloaded", (buf.byteLength / (1024 * 1024)).toFixed(2), "MB");
+  const u8 = new Uint8Array(buf);
+  // The locations file is part of the input, so it is covered by the source hash
+  const hash = spec.locations
+    ? sha256(`${sha256(u8)} ${sha256(await fsp.readFile(path.resolve(REPO_ROOT, spec.locations)))}`)
+    : sha256(u8);
+  console.log(`Decoding ${what} (${spec.id}) ...`);
+  const categories =
+    spec.format === "dat"
+      ? decodeGroups(buf)
+      : groupNetworks(spec.format === "mmdb" ? mmdbNetworks(u8) : await csvNetworks(new TextDecoder().decode(u8), spec), spec.group);
+  console.log("Decoded groups:", categories.length);
+  return { url: spec.path ? path.basename(spec.path) : spec.url, sha256: hash, categories };
+};
+
+const main = async () => {
+  const specs = parseSourcesConfig(JSON.parse(await fsp.readFile(SOURCES_PATH, "utf8")), "geoip", ["dat", "mmdb", "csv"]);
+  const local = process.env.GEOIP_DAT_PATH || process.env.GEO_DAT_PATH;
+  if (local) specs[0] = { ...specs[0], format: "dat", url: null, path: local };
+
+  const builtAt = new Date().toISOString();
+  const inputs = [];
+  const infos = new Map();
+  for (const spec of specs) {
+    let input;
+    try {
+      input = await readSource(spec);
+    } catch (err) {
+      if (!spec.optional) throw err;
+      console.warn(`Skipping optional source ${spec.id}: ${err.message}`);
+      continue;
+    }
+    infos.set(spec.id, { id: spec.id, url: input.url, sha256: input.sha256 });
+    inputs.push({ spec, categories: input.categories });
+  }
+  if (inputs.length === 0) throw new Error("No geoip source could be read");
+
+  await ensureDir(OUT_JSON_DIR);
+  await ensureDir(OUT_META_DIR);
+
+  const merged = mergeSources(inputs, (into, from) => {
+    into.v4.push(...from.v4);
+    into.v6.push(...from.v6);
+  });
+  const groups = [];
+  for (const { name, data, source: sourceId, contributors } of merged) {
+    const { v4, v6 } = data;
+    const source = { ...infos.get(sourceId), builtAt };
+    // Merge adjacent/contained prefixes and sort numerically
+    const cidr4 = aggregateCidrs(v4);
+    const cidr6 = aggregateCidrs(v6);
+    const out = { name, cidr4, cidr6 };
+    const json = JSON.stringify(out) + "\n";
+    await fsp.writeFile(path.join(OUT_JSON_DIR, `${name}.json`), json, "utf8");
+    const meta = {
+      name,
+      total: cidr4.length + cidr6.length,
+      counts: { cidr4: cidr4.length, cidr6: cidr6.length },
+      sha256: sha256(json),
+      source,
+    };
+    if (contributors.length > 1) meta.sources = contributors;
+    await fsp.writeFile(path.join(OUT_META_DIR, `${name}.json`), JSON.stringify(meta) + "\n", "utf8");
     groups.push(name);
   }
 
@@ -162,6 +279,7 @@ const main = async () => {
   console.log("Done. Files written:");
   console.log(" -", INDEX_JSON_PATH);
   console.log(" -", OUT_JSON_DIR, "(per-group JSON)");
+  console.log(" -", OUT_META_DIR, "(per-group metadata)");
   // Build README table
   const tableLines = [
     "\n**GeoIP Ruleset Index**\n",
@@ -1,39 +1,41 @@
 // Build sing-box SRS rule-sets from prebuilt geoip JSON
 // - Reads dist/geoip-json/<name>.json
 // - Emits SRS binaries to dist/srs-geoip/<name>.srs (and <name>@v4.srs, <name>@v6.srs)
-// - Requires sing-box CLI available (env SING_BOX_BIN or in PATH)
+// - Also compiles dist/asn-json/AS<n>.json (npm run build:asn) to dist/srs-asn/AS<n>.srs,
+//   without the per-family variants
+// - Encodes in-process via shared/srs.mjs (zlib level 9); no sing-box CLI needed. The payload
+//   follows sing-box's writer, the compressed bytes differ from `sing-box rule-set compile`
 
 import fsp from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { execFile } from "node:child_process";
-import { promisify } from "node:util";
+import zlib from "node:zlib";
+import { encodeSRS } from "../shared/srs.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const execFileP = promisify(execFile);
 
 const DIST_DIR = path.resolve(__dirname, "..", "dist");
 const SRC_JSON_DIR = path.join(DIST_DIR, "geoip-json");
 const SRS_OUT_DIR = path.join(DIST_DIR, "srs-geoip");
-
-const SING_BOX_BIN = process.env.SING_BOX_BIN || "sing-box";
+const SRC_ASN_DIR = path.join(DIST_DIR, "asn-json");
+const SRS_ASN_OUT_DIR = path.join(DIST_DIR, "srs-asn");
 
 const ensureDir = async (dir) => {
   await fsp.mkdir(dir, { recursive: true });
 };
 
-const listGroupFiles = async () => {
+const listGroupFiles = async (dir) => {
   try {
-    const files = await fsp.readdir(SRC_JSON_DIR);
+    const files = await fsp.readdir(dir);
     return files.filter((f) => f.endsWith(".json"));
   } catch (_) {
     return [];
   }
 };
 
-const readGroup = async (name) => {
-  const filePath = path.join(SRC_JSON_DIR, `${name}.json`);
+const readGroup = async (dir, name) => {
+  const filePath = path.join(dir, `${name}.json`);
   const txt = await fsp.readFile(filePath, "utf8");
   return JSON.parse(txt);
 };
@@ -52,9 +54,9 @@ const toHeadlessRule = (data, filter) => {
   return { ip_cidr };
 };
 
-const compileSRS = async (sourcePath, outputPath) => {
-  const args = ["rule-set", "compile", "--output", outputPath, sourcePath];
-  await execFileP(SING_BOX_BIN, args);
+const compileSRS = async (source, outputPath) => {
+  const bytes = await encodeSRS(source, { compress: (data) => zlib.deflateSync(data, { level: 9 }) });
+  await fsp.writeFile(outputPath, bytes);
 };
 
 const runPool = async (tasks, concurrency) => {
@@ -76,12 +78,15 @@ const runPool = async (tasks, concurrency) => {
   return results;
 };
 
+const sortedNames = (files) =>
+  files.map((f) => f.replace(/\.json$/, "")).sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+
 const main = async () => {
   await ensureDir(SRS_OUT_DIR);
 
-  const files = await listGroupFiles();
-  const names = files.map((f) => f.replace(/\.json$/, "")).sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
-  if (names.length === 0) {
+  const names = sortedNames(await listGroupFiles(SRC_JSON_DIR));
+  const asns = sortedNames(await listGroupFiles(SRC_ASN_DIR));
+  if (names.length === 0 && asns.length === 0) {
     console.log("No geoip JSON found in", SRC_JSON_DIR, "— run npm run build:geoip first.");
     return;
   }
@@ -91,23 +96,27 @@ const main = async () => {
   const tasks = [];
 
   for (const name of names) {
-    const data = await readGroup(name);
+    const data = await readGroup(SRC_JSON_DIR, name);
     for (const filter of filters) {
       const rule = toHeadlessRule(data, filter);
       if (!rule) continue;
       const source = { version: 3, rules: [rule] };
-      const srcPath = path.join(SRS_OUT_DIR, `.${name}${filter ? `@${filter}` : ""}.json`);
       const outPath = path.join(SRS_OUT_DIR, `${name}${filter ? `@${filter}` : ""}.srs`);
-      tasks.push(async () => {
-        await fsp.writeFile(srcPath, JSON.stringify(source), "utf8");
-        await compileSRS(srcPath, outPath);
-      });
+      tasks.push(() => compileSRS(source, outPath));
     }
   }
+  const geoipTasks = tasks.length;
+
+  if (asns.length > 0) await ensureDir(SRS_ASN_OUT_DIR);
+  for (const name of asns) {
+    const rule = toHeadlessRule(await readGroup(SRC_ASN_DIR, name), null);
+    if (!rule) continue;
+    tasks.push(() => compileSRS({ version: 3, rules: [rule] }, path.join(SRS_ASN_OUT_DIR, `${name}.srs`)));
+  }
 
-  console.log(`Compiling ${tasks.length} GeoIP SRS files with concurrency=${concurrency} ...`);
+  console.log(`Compiling ${tasks.length} GeoIP SRS files (${tasks.length - geoipTasks} ASN) with concurrency=${concurrency} ...`);
   await runPool(tasks, concurrency);
-  console.log(`GeoIP SRS build done. Generated ${tasks.length} files at ${SRS_OUT_DIR}`);
+  console.log(`GeoIP SRS build done. Generated ${tasks.length} files at ${SRS_OUT_DIR}${asns.length > 0 ? ` and ${SRS_ASN_OUT_DIR}` : ""}`);
 };
 
 main().catch((err) => {
@@ -1,7 +1,23 @@
-// Build geosite JSON files from Loyalsoldier/v2ray-rules-dat geosite.dat
-// - Downloads latest geosite.dat from jsDelivr release
+// Build geosite JSON files from the geosite.dat sources in sources.json
+// - Downloads each enabled source (Loyalsoldier by default; v2fly, MetaCubeX, local files, ...)
+//   or reads it from disk; GEO_DAT_PATH replaces the first source with a local file.
+//   With SOURCES_DIR set, url sources are read from the files scripts/source-versions.mjs
+//   downloaded there instead
+// - "format": "v2fly-dir" sources (or V2FLY_DATA_DIR=<checkout>/data, which replaces all
+//   sources for an offline build) read domain-list-community text lists directly, keeping
+//   each included rule's origin list (see shared/v2fly.mjs)
 // - Parses with protobufjs (Xray proto for GeoSiteList)
+// - Merges sources by precedence (see shared/sources.mjs): prefixed namespaces, fallback for
+//   categories earlier sources lack, or union of rules. Rules added by a later source carry
+//   `source: <id>`; metadata records the providing source and all contributors
 // - Emits per-category JSON to dist/geosite-json/<name>.json
+// - Emits per-category metadata to dist/geosite-meta/<name>.json
+//   (rule counts by type, attribute histogram, sha256, source geosite.dat hash, build time)
+// - Merges hand-maintained categories from custom/ (see loadCustomSources)
+// - Emits dist/geosite-build.json ({ id: sha256 over the category hashes (custom/ included),
+//   version: geosite.dat sha256 (combined over several sources), builtAt,
+//   categories: name → JSON sha256 }),
+//   which sync-r2.mjs turns into the geosite-history/ snapshots and change logs
 // - Emits index.json mapping name -> https://direct.sleepstars.de/geosite/<name>
 // - Emits data_files.md for README table generation
 //
@@ -10,8 +26,11 @@
 import fs from "node:fs";
 import fsp from "node:fs/promises";
 import path from "node:path";
+import crypto from "node:crypto";
 import { fileURLToPath } from "node:url";
 import protobuf from "protobufjs";
+import { combinedVersion, downloadedSourceName, mergeSources, parseSourcesConfig } from "../shared/sources.mjs";
+import { buildV2flyCategories, normalizeValue, parseV2flyList, resolveIncludes, validateRule } from "../shared/v2fly.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,11 +38,14 @@ const __dirname = path.dirname(__filename);
 // Write outputs to the repository root (one level up from scripts/)
 const OUT_DIR = path.resolve(__dirname, "..", "dist");
 const OUT_JSON_DIR = path.join(OUT_DIR, "geosite-json");
+const OUT_META_DIR = path.join(OUT_DIR, "geosite-meta");
+const BUILD_RECORD_PATH = path.join(OUT_DIR, "geosite-build.json");
 const INDEX_JSON_PATH = path.resolve(__dirname, "..", "index.json");
 const README_TABLE_PATH = path.resolve(__dirname, "..", "data_files.md");
-
-const GEO_DAT_URL =
-  "https://cdn.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geosite.dat";
+const CUSTOM_DIR = path.resolve(__dirname, "..", "custom");
+const REPO_ROOT = path.resolve(__dirname, "..");
+const SOURCES_PATH = process.env.SOURCES_CONFIG || path.join(REPO_ROOT, "sources.json");
+const SOURCES_DIR = process.env.SOURCES_DIR ? path.resolve(REPO_ROOT, process.env.SOURCES_DIR) : null;
 
 // Minimal proto definitions required to decode geosite.dat
 const PROTO = `
@@ -102,32 +124,126 @@ const extractAttrs = (attrList) => {
   return attrs;
 };
 
-const writeJSON = async (filePath, data) => {
-  const json = JSON.stringify(data, null, 0);
-  await fsp.writeFile(filePath, json + "\n", "utf8");
+// Deterministic rule order: by type, then value
+const compareRules = (a, b) => {
+  if (a.type === b.type) return a.value.localeCompare(b.value, "en", { sensitivity: "base" });
+  return a.type.localeCompare(b.type, "en", { sensitivity: "base" });
 };
 
-const main = async () => {
-  let buf;
-  const localGeo = process.env.GEO_DAT_PATH;
-  if (localGeo) {
-    console.log("Using local geosite.dat:", localGeo);
-    const b = await fsp.readFile(localGeo);
-    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
-  } else {
-    console.log("Downloading geosite.dat from", GEO_DAT_URL);
-    buf = await downloadArrayBuffer(GEO_DAT_URL);
+// custom/ holds our own categories, merged over geosite.dat:
+// - <name>.json: { "name": "...", "rules": [{ "type", "value", "attrs"? }], "remove"?: [{ "type", "value" }] }
+// - <name>.txt or <name> (no extension): v2fly text format with include: and @attr
+// A name that already exists upstream is an overlay: its rules are added to the
+// upstream category and `remove` entries are dropped from it; other names are new categories.
+const loadCustomSources = async () => {
+  let files;
+  try {
+    files = await fsp.readdir(CUSTOM_DIR);
+  } catch (_) {
+    return [];
   }
-  console.log("Downloaded", (buf.byteLength / (1024 * 1024)).toFixed(2), "MB");
+  const sources = [];
+  for (const file of files.sort()) {
+    if (file.startsWith(".") || /\.md$/i.test(file)) continue;
+    const rel = `custom/${file}`;
+    const text = await fsp.readFile(path.join(CUSTOM_DIR, file), "utf8");
+    if (file.endsWith(".json")) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`${rel}: ${e.message}`);
+      }
+      if (typeof data.name !== "string" || !Array.isArray(data.rules)) {
+        throw new Error(`${rel}: expected { name, rules }`);
+      }
+      const normalize = (r) => (typeof r.value === "string" ? { ...r, value: normalizeValue(r.type, r.value) } : r);
+      const rules = data.rules.map(normalize);
+      const remove = (data.remove || []).map(normalize);
+      for (const [field, list] of [["rules", rules], ["remove", remove]]) {
+        list.forEach((r, i) => {
+          const problem = validateRule(r);
+          if (problem) throw new Error(`${rel}: ${field}[${i}]: ${problem}`);
+        });
+      }
+      const list = { rules: rules.map((r) => ({ type: r.type, value: r.value, attrs: r.attrs || [] })), includes: [] };
+      sources.push({ file: rel, name: data.name, list, remove });
+    } else {
+      const name = file.replace(/\.txt$/, "");
+      sources.push({ file: rel, name, list: parseV2flyList(text, rel), remove: [] });
+    }
+  }
+  return sources;
+};
 
-  console.log("Decoding geosite.dat ...");
-  const list = decodeGeoSiteList(buf);
-  const entries = list.entry || [];
-  console.log("Decoded categories:", entries.length);
+const applyCustomSources = (categories, sources) => {
+  const upstream = new Map(categories.map((c) => [c.name.toLowerCase(), c]));
+  const lists = new Map();
+  for (const src of sources) {
+    const key = src.name.toLowerCase();
+    if (!/^[a-z0-9!_-]+$/.test(key)) throw new Error(`${src.file}: invalid category name "${src.name}"`);
+    if (lists.has(key)) throw new Error(`${src.file}: duplicate custom category "${src.name}"`);
+    lists.set(key, src.list);
+  }
+  const resolved = resolveIncludes(lists, (key) => upstream.get(key)?.rules || null);
 
-  await ensureDir(OUT_JSON_DIR);
+  const summary = { added: 0, overlaid: 0 };
+  for (const src of sources) {
+    const key = src.name.toLowerCase();
+    const rules = resolved.get(key);
+    const base = upstream.get(key);
+    const merged = new Map();
+    for (const r of [...(base?.rules || []), ...rules]) {
+      const id = `${r.type}:${r.value}`;
+      const prev = merged.get(id);
+      const attrs = Array.from(new Set([...(prev?.attrs || []), ...(r.attrs || [])])).sort((a, b) =>
+        a.localeCompare(b, "en", { sensitivity: "base" })
+      );
+      const { source, origin } = prev || r;
+      merged.set(id, { type: r.type, value: r.value, attrs, ...(source ? { source } : {}), ...(origin ? { origin } : {}) });
+    }
+    for (const r of src.remove) {
+      if (!merged.delete(`${r.type}:${r.value}`)) console.warn(`${src.file}: remove ${r.type}:${r.value} matched nothing`);
+    }
+    const out = Array.from(merged.values()).sort(compareRules);
+    if (base) {
+      base.rules = out;
+      base.custom = src.file;
+      summary.overlaid++;
+    } else {
+      categories.push({ name: src.name.toUpperCase(), rules: out, custom: src.file });
+      summary.added++;
+    }
+  }
+  return summary;
+};
 
-  // Collect categories first to allow deterministic sorting
+const writeJSON = async (filePath, data) => {
+  const json = JSON.stringify(data, null, 0) + "\n";
+  await fsp.writeFile(filePath, json, "utf8");
+  return json;
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// Metadata record served at /geosite/<name>/meta
+const buildMeta = (name, rules, json, source) => {
+  const counts = { domain: 0, full: 0, keyword: 0, regexp: 0 };
+  const attrs = {};
+  for (const r of rules) {
+    counts[r.type] = (counts[r.type] || 0) + 1;
+    for (const a of r.attrs) attrs[a] = (attrs[a] || 0) + 1;
+  }
+  const sortedAttrs = {};
+  for (const a of Object.keys(attrs).sort((x, y) => x.localeCompare(y, "en", { sensitivity: "base" }))) {
+    sortedAttrs[a] = attrs[a];
+  }
+  return { name, total: rules.length, counts, attrs: sortedAttrs, sha256: sha256(json), source };
+};
+
+// geosite.dat → [{ name, data: rules }] with normalized, sorted rules
+const decodeCategories = (buf) => {
+  const entries = decodeGeoSiteList(buf).entry || [];
   const categories = [];
   for (const site of entries) {
     const name = String(site.country_code || "").trim();
@@ -141,21 +257,123 @@ const main = async () => {
         attrs: extractAttrs(d.attribute).sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" })),
       }))
       // Sort rules for deterministic output within each category
-      .sort((a, b) => {
-        if (a.type === b.type) return a.value.localeCompare(b.value, "en", { sensitivity: "base" });
-        return a.type.localeCompare(b.type, "en", { sensitivity: "base" });
-      });
-    categories.push({ name, rules });
+      .sort(compareRules);
+    categories.push({ name, data: rules });
+  }
+  return categories;
+};
+
+// Rules of a later source that the category lacks, tagged with their source
+const unionRules = (into, from, spec) => {
+  const known = new Set(into.map((r) => `${r.type}:${r.value}`));
+  for (const r of from) {
+    if (!known.has(`${r.type}:${r.value}`)) into.push({ ...r, source: spec.id });
+  }
+  into.sort(compareRules);
+};
+
+// domain-list-community data/ checkout: every file is a list, includes resolved locally
+const readV2flyDir = async (spec) => {
+  const dir = path.resolve(REPO_ROOT, spec.path);
+  console.log(`Reading domain-list-community lists for ${spec.id} from`, dir);
+  const names = (await fsp.readdir(dir)).filter((f) => !f.startsWith(".")).sort();
+  const files = [];
+  const hash = crypto.createHash("sha256");
+  for (const name of names) {
+    const text = await fsp.readFile(path.join(dir, name), "utf8");
+    files.push({ name, text });
+    hash.update(`${name} ${sha256(text)}\n`);
+  }
+  const categories = buildV2flyCategories(files).map(({ name, rules }) => ({ name, data: rules }));
+  console.log("Parsed lists:", categories.length);
+  return { url: path.basename(dir), sha256: hash.digest("hex"), categories };
+};
+
+const readSource = async (spec) => {
+  if (spec.format === "v2fly-dir") return readV2flyDir(spec);
+  let buf;
+  if (spec.path) {
+    console.log(`Using local geosite.dat for ${spec.id}:`, spec.path);
+    const b = await fsp.readFile(path.resolve(REPO_ROOT, spec.path));
+    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+  } else if (SOURCES_DIR) {
+    const file = path.join(SOURCES_DIR, downloadedSourceName("geosite", spec));
+    console.log(`Using downloaded geosite.dat for ${spec.id}:`, file);
+    const b = await fsp.readFile(file);
+    buf = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+  } else {
+    console.log(`Downloading geosite.dat for ${spec.id} from`, spec.url);
+    buf = await downloadArrayBuffer(spec.url);
+  }
+  console.log("Downloaded", (buf.byteLength / (1024 * 1024)).toFixed(2), "MB");
+  console.log(`Decoding geosite.dat (${spec.id}) ...`);
+  const categories = decodeCategories(buf);
+  console.log("Decoded categories:", categories.length);
+  return { url: spec.path ? path.basename(spec.path) : spec.url, sha256: sha256(new Uint8Array(buf)), categories };
+};
+
+const main = async () => {
+  let specs = parseSourcesConfig(JSON.parse(await fsp.readFile(SOURCES_PATH, "utf8")), "geosite", ["dat", "v2fly-dir"]);
+  if (process.env.GEO_DAT_PATH) specs[0] = { ...specs[0], format: "dat", url: null, path: process.env.GEO_DAT_PATH };
+  // Offline build straight from a domain-list-community checkout, ignoring the other sources
+  if (process.env.V2FLY_DATA_DIR) {
+    specs = [{ ...specs[0], id: "v2fly-data", format: "v2fly-dir", url: null, path: process.env.V2FLY_DATA_DIR, prefix: "", categories: null }];
+  }
+
+  const builtAt = new Date().toISOString();
+  const inputs = [];
+  const infos = new Map();
+  for (const spec of specs) {
+    let input;
+    try {
+      input = await readSource(spec);
+    } catch (err) {
+      if (!spec.optional) throw err;
+      console.warn(`Skipping optional source ${spec.id}: ${err.message}`);
+      continue;
+    }
+    infos.set(spec.id, { id: spec.id, url: input.url, sha256: input.sha256 });
+    inputs.push({ spec, categories: input.categories });
+  }
+  if (inputs.length === 0) throw new Error("No geosite source could be read");
+  const version = combinedVersion(Array.from(infos.values()), sha256);
+  // Categories that only exist in custom/ report the highest-precedence source that was read
+  const primary = { ...infos.get(inputs[0].spec.id), builtAt };
+
+  await ensureDir(OUT_JSON_DIR);
+  await ensureDir(OUT_META_DIR);
+
+  // Collect categories first to allow deterministic sorting
+  const categories = mergeSources(inputs, unionRules).map(({ name, data, source, contributors }) => ({
+    name,
+    rules: data,
+    source: { ...infos.get(source), builtAt },
+    contributors,
+  }));
+
+  const customSources = await loadCustomSources();
+  if (customSources.length > 0) {
+    const { added, overlaid } = applyCustomSources(categories, customSources);
+    console.log(`Custom categories: ${added} added, ${overlaid} overlaid from ${CUSTOM_DIR}`);
   }
 
   // Sort categories by name for stable README and index.json
   categories.sort((a, b) => a.name.localeCompare(b.name, "en", { sensitivity: "base" }));
 
-  // Write per-category JSON files
-  for (const { name, rules } of categories) {
+  // Write per-category JSON and metadata files
+  const buildRecord = { version, builtAt, categories: {} };
+  for (const { name, rules, custom, source, contributors } of categories) {
     const outPath = path.join(OUT_JSON_DIR, `${name}.json`);
-    await writeJSON(outPath, { name, rules });
+    const json = await writeJSON(outPath, { name, rules });
+    const meta = buildMeta(name, rules, json, source || primary);
+    if (contributors && contributors.length > 1) meta.sources = contributors;
+    if (custom) meta.custom = custom;
+    await writeJSON(path.join(OUT_META_DIR, `${name}.json`), meta);
+    buildRecord.categories[name] = meta.sha256;
   }
+  // The build id names the served content: version alone misses edits under custom/
+  const lines = Object.entries(buildRecord.categories).map(([name, hash]) => `${name} ${hash}\n`);
+  await writeJSON(BUILD_RECORD_PATH, { id: sha256(lines.join("")), ...buildRecord });
 
   // Build sorted index.json (object keys inserted in sorted order)
   const indexMapSorted = {};
@@ -177,6 +395,8 @@ const main = async () => {
   console.log(" -", INDEX_JSON_PATH);
   console.log(" -", README_TABLE_PATH);
   console.log(" -", OUT_JSON_DIR, "(per-category JSON)");
+  console.log(" -", OUT_META_DIR, "(per-category metadata)");
+  console.log(" -", BUILD_RECORD_PATH, "(build record for history)");
 };
 
 main().catch((err) => {
@@ -0,0 +1,127 @@
+// Build the reverse lookup index from prebuilt geosite/geoip JSON
+// - Reads dist/geosite-json/<name>.json and dist/geoip-json/<name>.json
+// - Domains: dist/lookup/domain/<shard>.json (reversed-label tries, see shared/lookup.mjs)
+//   and dist/lookup/domain-patterns.json (keyword/regexp rules)
+// - IPs: dist/lookup/ip/<v4|v6>-<n>.json (sorted disjoint intervals) and
+//   dist/lookup/ip/index.json (first address of every shard)
+// - Synced to R2 under lookup/ and served by /lookup/domain/:host and /lookup/ip/:addr
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  DOMAIN_SHARDS,
+  IP_SHARD_SIZE,
+  buildIntervals,
+  domainShardOf,
+  insertDomainRule,
+} from "../shared/lookup.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DIST_DIR = path.resolve(__dirname, "..", "dist");
+const SRC_JSON_DIR = path.join(DIST_DIR, "geosite-json");
+const SRC_GEOIP_JSON_DIR = path.join(DIST_DIR, "geoip-json");
+const OUT_DIR = path.join(DIST_DIR, "lookup");
+const OUT_DOMAIN_DIR = path.join(OUT_DIR, "domain");
+const OUT_IP_DIR = path.join(OUT_DIR, "ip");
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const listNames = async (dir) => {
+  try {
+    const files = await fsp.readdir(dir);
+    return files
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.replace(/\.json$/, ""))
+      .sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+  } catch (_) {
+    return [];
+  }
+};
+
+const readJSON = async (dir, name) => {
+  const txt = await fsp.readFile(path.join(dir, `${name}.json`), "utf8");
+  return JSON.parse(txt);
+};
+
+const writeJSON = async (filePath, data) => {
+  await fsp.writeFile(filePath, JSON.stringify(data) + "\n", "utf8");
+};
+
+const buildDomainIndex = async () => {
+  const names = await listNames(SRC_JSON_DIR);
+  if (names.length === 0) {
+    console.log("No geosite JSON found in", SRC_JSON_DIR, "— run npm run build:geosite first.");
+    return 0;
+  }
+  const shards = Array.from({ length: DOMAIN_SHARDS }, () => Object.create(null));
+  const patterns = [];
+  let total = 0;
+  for (const name of names) {
+    const data = await readJSON(SRC_JSON_DIR, name);
+    for (const r of data.rules || []) {
+      const value = String(r.value || "").toLowerCase();
+      if (!value) continue;
+      const attrs = Array.isArray(r.attrs) && r.attrs.length > 0 ? r.attrs : undefined;
+      if (r.type === "domain" || r.type === "full") {
+        const entry = attrs ? [data.name, r.type, attrs] : [data.name, r.type];
+        insertDomainRule(shards[domainShardOf(value)], value, entry);
+      } else {
+        patterns.push({ category: data.name, type: r.type, value: r.value, ...(attrs ? { attrs } : {}) });
+      }
+      total++;
+    }
+  }
+  await ensureDir(OUT_DOMAIN_DIR);
+  for (let i = 0; i < shards.length; i++) {
+    await writeJSON(path.join(OUT_DOMAIN_DIR, `${i}.json`), shards[i]);
+  }
+  await writeJSON(path.join(OUT_DIR, "domain-patterns.json"), patterns);
+  return total;
+};
+
+const buildIpIndex = async () => {
+  const names = await listNames(SRC_GEOIP_JSON_DIR);
+  if (names.length === 0) {
+    console.log("No geoip JSON found in", SRC_GEOIP_JSON_DIR, "— run npm run build:geoip first.");
+    return 0;
+  }
+  const items = [];
+  for (const name of names) {
+    const data = await readJSON(SRC_GEOIP_JSON_DIR, name);
+    for (const cidr of [...(data.cidr4 || []), ...(data.cidr6 || [])]) {
+      items.push({ tag: [data.name, cidr], cidr });
+    }
+  }
+  const intervals = buildIntervals(items);
+  await ensureDir(OUT_IP_DIR);
+  const index = { v4: [], v6: [] };
+  let segments = 0;
+  for (const family of ["v4", "v6"]) {
+    const list = intervals[family];
+    segments += list.length;
+    for (let i = 0, n = 0; i < list.length; i += IP_SHARD_SIZE, n++) {
+      const chunk = list.slice(i, i + IP_SHARD_SIZE);
+      index[family].push(chunk[0][0]);
+      await writeJSON(path.join(OUT_IP_DIR, `${family}-${n}.json`), chunk);
+    }
+  }
+  await writeJSON(path.join(OUT_IP_DIR, "index.json"), index);
+  return segments;
+};
+
+const main = async () => {
+  const rules = await buildDomainIndex();
+  const segments = await buildIpIndex();
+  console.log(`Lookup index done. ${rules} domain rule(s) in ${DOMAIN_SHARDS} shards, ${segments} IP interval(s).`);
+  console.log(" -", OUT_DIR);
+};
+
+main().catch((err) => {
+  console.error("Failed to build lookup index:", err);
+  process.exit(1);
+});
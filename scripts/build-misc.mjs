@@ -0,0 +1,181 @@
+// Build JSON for the hand-maintained Surge lists under misc/<category>/<name>.list
+// - Parses DOMAIN / DOMAIN-SUFFIX / DOMAIN-KEYWORD into geosite rules and IP-CIDR / IP-CIDR6
+//   into aggregated cidr4/cidr6; other lines (e.g. AND,(...)) are kept verbatim as `raw`
+//   and only emitted for Surge
+// - Emits dist/misc-json/<category>/<name>.json with { name, category, rules, cidr4, cidr6, raw }
+// - Compiles dist/misc/<category>/<name>.srs (domains + ip_cidr; raw lines have no SRS form)
+// - IP-only lists are also published as GeoIP groups (misc/wechat/wechat-ipv4.list →
+//   WECHAT-IPV4): dist/geoip-json, dist/geoip-meta and an entry in geoip-index.json,
+//   so build-geoip-srs.mjs picks them up. Run after build:geoip.
+
+import crypto from "node:crypto";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
+import { aggregateCidrs } from "../shared/cidr.mjs";
+import { optimizeRules } from "../shared/optimize.mjs";
+import { encodeSRS, rulesToHeadless } from "../shared/srs.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const MISC_DIR = path.join(REPO_ROOT, "misc");
+const DIST_DIR = path.join(REPO_ROOT, "dist");
+const OUT_DIR = path.join(DIST_DIR, "misc-json");
+const OUT_SRS_DIR = path.join(DIST_DIR, "misc");
+const GEOIP_JSON_DIR = path.join(DIST_DIR, "geoip-json");
+const GEOIP_META_DIR = path.join(DIST_DIR, "geoip-meta");
+const GEOIP_INDEX_PATH = path.join(REPO_ROOT, "geoip-index.json");
+
+const NAME_RE = /^[a-z0-9_-]+$/;
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const DOMAIN_TYPES = {
+  DOMAIN: "full",
+  "DOMAIN-SUFFIX": "domain",
+  "DOMAIN-KEYWORD": "keyword",
+};
+
+const parseSurgeList = (text) => {
+  const rules = [];
+  const cidrs = [];
+  const raw = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#") || line.startsWith("//") || line.startsWith(";")) continue;
+    const [kind, value] = line.split(",").map((s) => s.trim());
+    const type = DOMAIN_TYPES[kind.toUpperCase()];
+    if (type && value) {
+      rules.push({ type, value: value.toLowerCase(), attrs: [] });
+    } else if ((kind === "IP-CIDR" || kind === "IP-CIDR6") && value) {
+      cidrs.push(value);
+    } else {
+      raw.push(line);
+    }
+  }
+  const all = aggregateCidrs(cidrs);
+  return {
+    rules,
+    cidr4: all.filter((c) => !c.includes(":")),
+    cidr6: all.filter((c) => c.includes(":")),
+    raw,
+  };
+};
+
+// Mirrors buildMiscSrs in worker/index.ts; null when nothing is expressible in SRS
+const compileSRS = async ({ rules, cidr4, cidr6 }) => {
+  const headless = rulesToHeadless(optimizeRules(rules).rules);
+  if (cidr4.length + cidr6.length > 0) headless.ip_cidr = [...cidr4, ...cidr6];
+  if (Object.keys(headless).length === 0) return null;
+  return encodeSRS(
+    { version: 3, rules: [headless] },
+    { compress: (data) => zlib.deflateSync(data, { level: 9 }) }
+  );
+};
+
+const listMiscFiles = async () => {
+  const out = [];
+  let categories = [];
+  try {
+    categories = await fsp.readdir(MISC_DIR, { withFileTypes: true });
+  } catch (_) {
+    return out;
+  }
+  for (const dir of categories) {
+    if (!dir.isDirectory()) continue;
+    for (const file of await fsp.readdir(path.join(MISC_DIR, dir.name))) {
+      if (!file.endsWith(".list")) continue;
+      out.push({
+        category: dir.name.toLowerCase(),
+        name: file.replace(/\.list$/, "").toLowerCase(),
+        file: path.join(MISC_DIR, dir.name, file),
+      });
+    }
+  }
+  const key = (e) => `${e.category}/${e.name}`;
+  return out.sort((a, b) => key(a).localeCompare(key(b), "en", { sensitivity: "base" }));
+};
+
+// wechat/wechat-ipv4 → WECHAT-IPV4; telegram/main → TELEGRAM-MAIN
+const geoipNameFor = ({ category, name }) => (name.startsWith(category) ? name : `${category}-${name}`).toUpperCase();
+
+const readIndex = async () => {
+  try {
+    return JSON.parse(await fsp.readFile(GEOIP_INDEX_PATH, "utf8"));
+  } catch (_) {
+    return {};
+  }
+};
+
+const main = async () => {
+  const files = await listMiscFiles();
+  if (files.length === 0) {
+    console.log("No misc lists found in", MISC_DIR);
+    return;
+  }
+  const builtAt = new Date().toISOString();
+  const geoipGroups = [];
+  for (const entry of files) {
+    if (!NAME_RE.test(entry.category) || !NAME_RE.test(entry.name)) {
+      throw new Error(`Invalid misc list path: ${path.relative(REPO_ROOT, entry.file)}`);
+    }
+    const text = await fsp.readFile(entry.file, "utf8");
+    const parsed = parseSurgeList(text);
+    const out = { name: entry.name, category: entry.category, ...parsed };
+    await ensureDir(path.join(OUT_DIR, entry.category));
+    await fsp.writeFile(path.join(OUT_DIR, entry.category, `${entry.name}.json`), JSON.stringify(out) + "\n", "utf8");
+    const srs = await compileSRS(parsed);
+    if (srs) {
+      await ensureDir(path.join(OUT_SRS_DIR, entry.category));
+      await fsp.writeFile(path.join(OUT_SRS_DIR, entry.category, `${entry.name}.srs`), srs);
+    }
+    console.log(
+      ` - ${entry.category}/${entry.name}: ${parsed.rules.length} domain rule(s), ` +
+        `${parsed.cidr4.length + parsed.cidr6.length} CIDR(s), ${parsed.raw.length} verbatim line(s)`
+    );
+
+    const ipOnly = parsed.rules.length === 0 && parsed.raw.length === 0 && parsed.cidr4.length + parsed.cidr6.length > 0;
+    if (!ipOnly) continue;
+    const name = geoipNameFor(entry);
+    const json = JSON.stringify({ name, cidr4: parsed.cidr4, cidr6: parsed.cidr6 }) + "\n";
+    const meta = {
+      name,
+      total: parsed.cidr4.length + parsed.cidr6.length,
+      counts: { cidr4: parsed.cidr4.length, cidr6: parsed.cidr6.length },
+      sha256: sha256(json),
+      source: { url: path.relative(REPO_ROOT, entry.file).split(path.sep).join("/"), sha256: sha256(text), builtAt },
+    };
+    await ensureDir(GEOIP_JSON_DIR);
+    await ensureDir(GEOIP_META_DIR);
+    await fsp.writeFile(path.join(GEOIP_JSON_DIR, `${name}.json`), json, "utf8");
+    await fsp.writeFile(path.join(GEOIP_META_DIR, `${name}.json`), JSON.stringify(meta) + "\n", "utf8");
+    geoipGroups.push(name);
+  }
+
+  if (geoipGroups.length > 0) {
+    // Upsert into the GeoIP index, keeping keys sorted like build-geoip-json.mjs
+    const index = await readIndex();
+    for (const name of geoipGroups) index[name] = `https://direct.sleepstars.de/geoip/${name}`;
+    const sorted = {};
+    for (const name of Object.keys(index).sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }))) {
+      sorted[name] = index[name];
+    }
+    await fsp.writeFile(GEOIP_INDEX_PATH, JSON.stringify(sorted) + "\n", "utf8");
+    console.log(`Published ${geoipGroups.length} IP list(s) as GeoIP groups: ${geoipGroups.join(", ")}`);
+  }
+  console.log("Misc build done.");
+  console.log(" -", OUT_DIR);
+  console.log(" -", OUT_SRS_DIR);
+};
+
+main().catch((err) => {
+  console.error("Failed to build misc lists:", err);
+  process.exit(1);
+});
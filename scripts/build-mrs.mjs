@@ -0,0 +1,140 @@
+// Build mihomo MRS rule-providers from prebuilt geosite/geoip JSON
+// - Reads dist/geosite-json/<name>.json and dist/geoip-json/<name>.json
+// - Geosite: attribute filters none, @cn, @!cn (env MRS_FILTERS, defaults to SRS_FILTERS)
+//   → dist/mrs/<name>[@filter].mrs (behavior: domain)
+// - GeoIP: none, @v4, @v6 → dist/mrs-geoip/<name>[@filter].mrs (behavior: ipcidr)
+// - MRS domain sets cannot hold keyword/regexp rules; dropped counts are printed
+//   per category and written to dist/mrs-dropped.json
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { filterByAttrs } from "../shared/filter.mjs";
+import { encodeDomainMrs, encodeIpCidrMrs } from "../shared/mrs.mjs";
+import { optimizeRules } from "../shared/optimize.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DIST_DIR = path.resolve(__dirname, "..", "dist");
+const SRC_JSON_DIR = path.join(DIST_DIR, "geosite-json");
+const SRC_GEOIP_JSON_DIR = path.join(DIST_DIR, "geoip-json");
+const MRS_OUT_DIR = path.join(DIST_DIR, "mrs");
+const MRS_GEOIP_OUT_DIR = path.join(DIST_DIR, "mrs-geoip");
+const DROPPED_REPORT_PATH = path.join(DIST_DIR, "mrs-dropped.json");
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const listNames = async (dir) => {
+  try {
+    const files = await fsp.readdir(dir);
+    return files
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => f.replace(/\.json$/, ""))
+      .sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+  } catch (_) {
+    return [];
+  }
+};
+
+const readJSON = async (dir, name) => {
+  const txt = await fsp.readFile(path.join(dir, `${name}.json`), "utf8");
+  return JSON.parse(txt);
+};
+
+const toDomainPayload = (rules) => {
+  const payload = [];
+  const dropped = { keyword: 0, regexp: 0 };
+  // Keywords are dropped, so they must not be used to elide other rules
+  const { rules: optimized } = optimizeRules(rules, { keywordCoverage: false });
+  for (const r of optimized) {
+    switch (r.type) {
+      case "domain":
+        payload.push(`+.${r.value}`);
+        break;
+      case "full":
+        payload.push(r.value);
+        break;
+      case "keyword":
+      case "regexp":
+        dropped[r.type]++;
+        break;
+    }
+  }
+  return { payload, dropped };
+};
+
+const buildGeosite = async (report) => {
+  const names = await listNames(SRC_JSON_DIR);
+  if (names.length === 0) {
+    console.log("No geosite JSON found in", SRC_JSON_DIR, "— run npm run build:geosite first.");
+    return 0;
+  }
+  await ensureDir(MRS_OUT_DIR);
+  const filtersEnv = process.env.MRS_FILTERS || process.env.SRS_FILTERS || "cn,!cn";
+  const filters = [null, ...filtersEnv.split(",").map((s) => s.trim()).filter(Boolean)];
+
+  let written = 0;
+  for (const name of names) {
+    const data = await readJSON(SRC_JSON_DIR, name);
+    for (const filter of filters) {
+      const { payload, dropped } = toDomainPayload(filterByAttrs(data.rules || [], filter));
+      const fname = `${name}${filter ? `@${filter}` : ""}`;
+      if (dropped.keyword > 0 || dropped.regexp > 0) report[fname] = dropped;
+      if (payload.length === 0) continue;
+      await fsp.writeFile(path.join(MRS_OUT_DIR, `${fname}.mrs`), encodeDomainMrs(payload));
+      written++;
+    }
+  }
+  return written;
+};
+
+const buildGeoip = async () => {
+  const names = await listNames(SRC_GEOIP_JSON_DIR);
+  if (names.length === 0) {
+    console.log("No geoip JSON found in", SRC_GEOIP_JSON_DIR, "— run npm run build:geoip first.");
+    return 0;
+  }
+  await ensureDir(MRS_GEOIP_OUT_DIR);
+  let written = 0;
+  for (const name of names) {
+    const data = await readJSON(SRC_GEOIP_JSON_DIR, name);
+    const variants = {
+      "": [...(data.cidr4 || []), ...(data.cidr6 || [])],
+      "@v4": data.cidr4 || [],
+      "@v6": data.cidr6 || [],
+    };
+    for (const [suffix, cidrs] of Object.entries(variants)) {
+      if (cidrs.length === 0) continue;
+      await fsp.writeFile(path.join(MRS_GEOIP_OUT_DIR, `${name}${suffix}.mrs`), encodeIpCidrMrs(cidrs));
+      written++;
+    }
+  }
+  return written;
+};
+
+const main = async () => {
+  const report = {};
+  const geosite = await buildGeosite(report);
+  const geoip = await buildGeoip();
+
+  const droppedNames = Object.keys(report);
+  if (droppedNames.length > 0) {
+    console.log(`Dropped keyword/regexp rules (not representable in MRS) in ${droppedNames.length} rule-set(s):`);
+    for (const name of droppedNames) {
+      const { keyword, regexp } = report[name];
+      console.log(` - ${name}: ${keyword} keyword, ${regexp} regexp`);
+    }
+  }
+  await ensureDir(DIST_DIR);
+  await fsp.writeFile(DROPPED_REPORT_PATH, JSON.stringify(report, null, 2) + "\n", "utf8");
+  console.log(`MRS build done. Generated ${geosite} geosite and ${geoip} geoip files.`);
+  console.log(" -", DROPPED_REPORT_PATH);
+};
+
+main().catch((err) => {
+  console.error("Failed to build MRS:", err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+// Build the canonical name maps used by the Worker to resolve category names
+// - Reads index.json and geoip-index.json (run after build:geosite, build:geoip and build:misc)
+// - Adds the aliases from aliases.json ({ geosite: { alias: target }, geoip: { ... } });
+//   aliases whose target is missing or that shadow a real category are skipped with a warning
+// - Emits dist/geosite-names.json and dist/geoip-names.json: lowercased name or alias → stored key
+//   (see shared/names.mjs), uploaded to R2 as <kind>/names.json and to KV as <kind>:names
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildNameMap } from "../shared/names.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const DIST_DIR = path.join(REPO_ROOT, "dist");
+const ALIASES_PATH = path.join(REPO_ROOT, "aliases.json");
+
+const KINDS = [
+  { kind: "geosite", index: path.join(REPO_ROOT, "index.json") },
+  { kind: "geoip", index: path.join(REPO_ROOT, "geoip-index.json") },
+];
+
+const readJSON = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fsp.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err && err.code === "ENOENT") return fallback;
+    throw err;
+  }
+};
+
+const main = async () => {
+  await fsp.mkdir(DIST_DIR, { recursive: true });
+  const aliases = await readJSON(ALIASES_PATH, {});
+  for (const { kind, index } of KINDS) {
+    const names = Object.keys(await readJSON(index, {}));
+    if (names.length === 0) {
+      console.warn(`No ${kind} index at ${index}; skipping`);
+      continue;
+    }
+    const { map, skipped } = buildNameMap(names, aliases[kind] || {});
+    for (const alias of skipped) {
+      console.warn(`Skipping ${kind} alias "${alias}" → "${aliases[kind][alias]}": target missing or name taken`);
+    }
+    const outPath = path.join(DIST_DIR, `${kind}-names.json`);
+    await fsp.writeFile(outPath, JSON.stringify(map) + "\n", "utf8");
+    console.log(` - ${outPath}: ${names.length} names, ${Object.keys(map).length - names.length} aliases`);
+  }
+};
+
+main().catch((err) => {
+  console.error("Failed to build name maps:", err);
+  process.exit(1);
+});
@@ -1,24 +1,27 @@
 // Build sing-box SRS rule-sets from prebuilt geosite JSON
 // - Reads dist/geosite-json/<name>.json
-// - Applies attribute filters: none, @cn, @!cn
+// - Applies attribute filters: none, @cn, @!cn (SRS_FILTERS; any shared/filter.mjs expression such as cn&!ads)
 // - Emits SRS binaries to dist/srs/<name>.srs (and <name>@cn.srs, <name>@!cn.srs)
-// - Requires sing-box CLI available (env SING_BOX_BIN or in PATH)
+// - Removes redundant rules via shared/optimize.mjs (set SRS_OPTIMIZE=0 to disable)
+// - Encodes in-process via shared/srs.mjs (zlib level 9); no sing-box CLI needed. The payload
+//   follows sing-box's writer, the compressed bytes differ from `sing-box rule-set compile`
 
 import fsp from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { execFile } from "node:child_process";
-import { promisify } from "node:util";
+import zlib from "node:zlib";
+import { filterByAttrs } from "../shared/filter.mjs";
+import { optimizeRules } from "../shared/optimize.mjs";
+import { encodeSRS, rulesToHeadless } from "../shared/srs.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const execFileP = promisify(execFile);
 
 const DIST_DIR = path.resolve(__dirname, "..", "dist");
 const SRC_JSON_DIR = path.join(DIST_DIR, "geosite-json");
 const SRS_OUT_DIR = path.join(DIST_DIR, "srs");
 
-const SING_BOX_BIN = process.env.SING_BOX_BIN || "sing-box";
+const OPTIMIZE = process.env.SRS_OPTIMIZE !== "0";
 
 const ensureDir = async (dir) => {
   await fsp.mkdir(dir, { recursive: true });
@@ -35,51 +38,20 @@ const readCategory = async (name) => {
   return JSON.parse(txt);
 };
 
-const toHeadlessRule = (rules, filter) => {
-  const target = filter?.toLowerCase() || null; // "cn" or "!cn" (negation starts with !)
-  const neg = target?.startsWith("!") ? true : false;
-  const key = neg ? target?.slice(1) : target; // attribute name without '!'
-
-  const agg = {
-    domain: [],
-    domain_suffix: [],
-    domain_keyword: [],
-    domain_regex: [],
-  };
-
-  for (const r of rules) {
-    const attrs = Array.isArray(r.attrs) ? r.attrs.map((a) => String(a).toLowerCase()) : [];
-    if (key) {
-      const has = attrs.includes(key);
-      if ((!neg && !has) || (neg && has)) continue;
-    }
-    switch (r.type) {
-      case "full":
-        agg.domain.push(r.value);
-        break;
-      case "domain":
-        agg.domain_suffix.push(r.value);
-        break;
-      case "keyword":
-        agg.domain_keyword.push(r.value);
-        break;
-      case "regexp":
-        agg.domain_regex.push(r.value);
-        break;
-    }
-  }
-
-  // Remove empty arrays to keep source compact
-  const headless = {};
-  for (const [k, v] of Object.entries(agg)) {
-    if (v.length > 0) headless[k] = v;
+const toHeadlessRule = (rules, filter, stats) => {
+  // filter is an attribute expression such as "cn", "!cn" or "cn&!ads" (shared/filter.mjs)
+  let selected = filterByAttrs(rules, filter);
+  if (OPTIMIZE) {
+    const optimized = optimizeRules(selected);
+    selected = optimized.rules;
+    if (stats) stats.removed += optimized.stats.input - optimized.stats.output;
   }
-  return headless;
+  return rulesToHeadless(selected);
 };
 
-const compileSRS = async (sourcePath, outputPath) => {
-  const args = ["rule-set", "compile", "--output", outputPath, sourcePath];
-  await execFileP(SING_BOX_BIN, args);
+const compileSRS = async (source, outputPath) => {
+  const bytes = await encodeSRS(source, { compress: (data) => zlib.deflateSync(data, { level: 9 }) });
+  await fsp.writeFile(outputPath, bytes);
 };
 
 const runPool = async (tasks, concurrency) => {
@@ -113,20 +85,18 @@ const main = async () => {
 
   const concurrency = Math.max(1, Number(process.env.SRS_CONCURRENCY || 6));
   const tasks = [];
+  const stats = { removed: 0 };
   for (const name of names) {
     const data = await readCategory(name);
     for (const filter of filters) {
-      const rule = toHeadlessRule(data.rules || [], filter);
+      const rule = toHeadlessRule(data.rules || [], filter, stats);
       if (Object.keys(rule).length === 0) continue;
       const source = { version: 3, rules: [rule] };
-      const srcPath = path.join(SRS_OUT_DIR, `.${name}${filter ? `@${filter}` : ""}.json`);
       const outPath = path.join(SRS_OUT_DIR, `${name}${filter ? `@${filter}` : ""}.srs`);
-      tasks.push(async () => {
-        await fsp.writeFile(srcPath, JSON.stringify(source), "utf8");
-        await compileSRS(srcPath, outPath);
-      });
+      tasks.push(() => compileSRS(source, outPath));
     }
   }
+  if (OPTIMIZE) console.log(`Optimizer removed ${stats.removed} redundant rule(s) across all rule-sets`);
   console.log(`Compiling ${tasks.length} SRS files with concurrency=${concurrency} ...`);
   await runPool(tasks, concurrency);
   console.log(`SRS build done. Generated ${tasks.length} files at ${SRS_OUT_DIR}`);
@@ -0,0 +1,76 @@
+// Build ready-made Surge rule lists from prebuilt geosite JSON
+// - Reads dist/geosite-json/<name>.json
+// - Applies the same attribute filters as build-srs.mjs (none plus SRS_FILTERS, default cn,!cn)
+// - Renders with shared/formats.mjs exactly like /geosite/<name>[@filter] with default options
+//   (optimizer on, regexp=exact-only), so the Worker can stream them from R2 unchanged
+// - Emits dist/surge/<name>.list (and <name>@cn.list, <name>@!cn.list); empty results are skipped
+// - Emits the /domainset pair for the same filters: dist/domainset/<name>[@filter].list
+//   (Surge DOMAIN-SET) and dist/domainset-rules/<name>[@filter].list (keyword/regexp leftovers)
+
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { filterByAttrs } from "../shared/filter.mjs";
+import { buildDomainSet, buildRuleList, getEmitter } from "../shared/formats.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DIST_DIR = path.resolve(__dirname, "..", "dist");
+const SRC_JSON_DIR = path.join(DIST_DIR, "geosite-json");
+const SURGE_OUT_DIR = path.join(DIST_DIR, "surge");
+const DOMAINSET_OUT_DIR = path.join(DIST_DIR, "domainset");
+const DOMAINSET_RULES_OUT_DIR = path.join(DIST_DIR, "domainset-rules");
+
+// Must match the defaults of emitOptions in worker/index.ts
+const EMIT_OPTIONS = { policy: "proxy", dns: "114.114.114.114", ip: "0.0.0.0", regexp: "exact-only" };
+
+const ensureDir = async (dir) => {
+  await fsp.mkdir(dir, { recursive: true });
+};
+
+const listCategoryFiles = async () => {
+  const files = await fsp.readdir(SRC_JSON_DIR);
+  return files.filter((f) => f.endsWith(".json"));
+};
+
+const readCategory = async (name) => {
+  const filePath = path.join(SRC_JSON_DIR, `${name}.json`);
+  const txt = await fsp.readFile(filePath, "utf8");
+  return JSON.parse(txt);
+};
+
+const main = async () => {
+  await ensureDir(SURGE_OUT_DIR);
+  await ensureDir(DOMAINSET_OUT_DIR);
+  await ensureDir(DOMAINSET_RULES_OUT_DIR);
+
+  const files = await listCategoryFiles();
+  // Use deterministic ordering
+  const names = files.map((f) => f.replace(/\.json$/, "")).sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+
+  const filtersEnv = process.env.SRS_FILTERS || "cn,!cn";
+  const filters = [null, ...filtersEnv.split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)];
+
+  const emitter = getEmitter("surge");
+  let written = 0;
+  for (const name of names) {
+    const data = await readCategory(name);
+    for (const filter of filters) {
+      const rules = filterByAttrs(data.rules || [], filter);
+      if (rules.length === 0) continue;
+      const file = `${name}${filter ? `@${filter}` : ""}.list`;
+      await fsp.writeFile(path.join(SURGE_OUT_DIR, file), buildRuleList(rules, emitter, EMIT_OPTIONS), "utf8");
+      const { domainSet, ruleSet } = buildDomainSet(rules, EMIT_OPTIONS);
+      await fsp.writeFile(path.join(DOMAINSET_OUT_DIR, file), domainSet, "utf8");
+      await fsp.writeFile(path.join(DOMAINSET_RULES_OUT_DIR, file), ruleSet, "utf8");
+      written++;
+    }
+  }
+  console.log(`Surge list build done. Generated ${written} lists at ${SURGE_OUT_DIR}, with DOMAIN-SET pairs at ${DOMAINSET_OUT_DIR}`);
+};
+
+main().catch((err) => {
+  console.error("Failed to build Surge lists:", err);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+// Generate an IP list for an app by resolving its hosts from many vantage points
+// - Reads a probe config (JSON), e.g. misc/wechat/wechat-ipv4.probe.json:
+//     { "output": "wechat-ipv4", "family": "ipv4" | "ipv6" | "both",
+//       "resolver": { "type": "boce" | "system" | "file", ... }, "hosts": ["short.weixin.qq.com", ...] }
+// - Resolvers (PROBE_RESOLVER=<type>[:<arg>] overrides the config):
+//     file:<path>     recorded responses, for offline runs (see PROBE_RECORD)
+//     system[:<ip>,…] node:dns, optionally against specific servers
+//     boce            api.boce.com dig from every node; key in env BOCE_API_KEY
+// - Writes <config dir>/<output>.list: aggregated IP-CIDR/IP-CIDR6 lines, each followed by
+//   "# <ip> <host> - <vantage point>" provenance comments, then prints the diff against
+//   the previous list (DRY_RUN=1 only prints it)
+// - PROBE_RECORD=<path> saves the observations in the format the file resolver reads
+//
+// Usage:
+//   BOCE_API_KEY=... node scripts/probe-dns.mjs misc/wechat/wechat-ipv4.probe.json
+//   PROBE_RESOLVER=file:/tmp/wechat.json DRY_RUN=1 node scripts/probe-dns.mjs misc/wechat/wechat-ipv4.probe.json
+
+import dns from "node:dns/promises";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import {
+  aggregateCidrs,
+  cidrToRange,
+  cidrsToRanges,
+  parseIPv4,
+  parseIPv6,
+  rangesToCidrList,
+  subtractRanges,
+} from "../shared/cidr.mjs";
+
+const BOCE_API = "https://api.boce.com/v3";
+const BOCE_POLL_INTERVAL_MS = 10_000;
+const BOCE_POLL_ATTEMPTS = 12;
+const DRY_RUN = process.env.DRY_RUN === "1" || process.env.DRY_RUN === "true";
+const OUTPUT_RE = /^[a-z0-9_-]+$/;
+
+/**
+ * @typedef {{ ip: string; via: string }} Observation
+ * @typedef {Record<string, Observation[]>} Recording host → observations
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const familyOf = (ip) => (parseIPv4(ip) !== null ? "ipv4" : ip.includes(":") && parseIPv6(ip) !== null ? "ipv6" : null);
+
+const loadConfig = async (configPath) => {
+  const config = JSON.parse(await fsp.readFile(configPath, "utf8"));
+  if (!OUTPUT_RE.test(config.output || "")) throw new Error(`${configPath}: "output" must match ${OUTPUT_RE}`);
+  if (!Array.isArray(config.hosts) || config.hosts.length === 0) throw new Error(`${configPath}: "hosts" is empty`);
+  const family = config.family || "ipv4";
+  if (!["ipv4", "ipv6", "both"].includes(family)) throw new Error(`${configPath}: unknown family "${family}"`);
+  let resolver = config.resolver || { type: "system" };
+  if (process.env.PROBE_RESOLVER) {
+    const [type, arg] = process.env.PROBE_RESOLVER.split(/:(.*)/s);
+    resolver = type === "file" ? { type, path: arg } : type === "system" && arg ? { type, servers: arg.split(",") } : { type };
+  }
+  return { ...config, family, resolver };
+};
+
+// ---------- resolvers: (hosts, config) → Recording ----------
+
+// Recorded observations ({ host: [{ ip, via }] }) or a raw boce task dump ({ host: { list: [...] } })
+const resolveFromFile = async (hosts, { resolver }) => {
+  if (!resolver.path) throw new Error('file resolver needs a path ("file:<path>")');
+  const data = JSON.parse(await fsp.readFile(resolver.path, "utf8"));
+  const out = {};
+  for (const host of hosts) {
+    const entry = data[host];
+    if (!entry) continue;
+    out[host] = Array.isArray(entry) ? entry : boceObservations(entry);
+  }
+  return out;
+};
+
+const resolveWithSystem = async (hosts, { family, resolver }) => {
+  const r = new dns.Resolver();
+  if (resolver.servers?.length) r.setServers(resolver.servers);
+  const via = resolver.servers?.length ? `dns(${resolver.servers.join(",")})` : "system";
+  const out = {};
+  for (const host of hosts) {
+    const lookups = [];
+    if (family !== "ipv6") lookups.push(r.resolve4(host));
+    if (family !== "ipv4") lookups.push(r.resolve6(host));
+    const ips = (await Promise.allSettled(lookups)).flatMap((res) => (res.status === "fulfilled" ? res.value : []));
+    out[host] = ips.map((ip) => ({ ip, via }));
+  }
+  return out;
+};
+
+const boceObservations = (task) =>
+  (task.list || []).flatMap((item) =>
+    (item.records || []).map((record) => ({ ip: record.value, via: `${item.node_name}(${item.origin_ip})` }))
+  );
+
+const boceGet = async (endpoint, params) => {
+  const url = new URL(`${BOCE_API}/${endpoint}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`boce ${endpoint}: HTTP ${res.status}`);
+  const data = await res.json();
+  if (data.error_code) throw new Error(`boce ${endpoint}: ${data.error || data.error_code}`);
+  return data;
+};
+
+// One dig task per host across every node, polled until done
+const resolveWithBoce = async (hosts) => {
+  const key = process.env.BOCE_API_KEY;
+  if (!key) throw new Error("BOCE_API_KEY is not set");
+  const nodes = (await boceGet("node/list", { key })).data.list;
+  const nodeIds = nodes.map((node) => node.id).join(",");
+  const out = {};
+  for (const host of hosts) {
+    const { id } = (await boceGet("task/create/dig", { key, host, node_ids: nodeIds })).data;
+    console.log(`Task created: ${id} - ${host}`);
+    for (let i = 0; i < BOCE_POLL_ATTEMPTS; i++) {
+      await sleep(BOCE_POLL_INTERVAL_MS);
+      const task = await boceGet(`task/dig/${id}`, { key });
+      if (!task.done) continue;
+      out[host] = boceObservations(task);
+      break;
+    }
+    if (!out[host]) console.warn(`Task ${id} (${host}) did not finish; skipped`);
+  }
+  return out;
+};
+
+const RESOLVERS = { file: resolveFromFile, system: resolveWithSystem, boce: resolveWithBoce };
+
+// ---------- list rendering and diff ----------
+
+const compareIPs = (a, b) => {
+  const ra = cidrToRange(a.includes("/") ? a : `${a}/${a.includes(":") ? 128 : 32}`);
+  const rb = cidrToRange(b.includes("/") ? b : `${b}/${b.includes(":") ? 128 : 32}`);
+  if (ra.v4 !== rb.v4) return ra.v4 ? -1 : 1;
+  return ra.from < rb.from ? -1 : ra.from > rb.from ? 1 : 0;
+};
+
+/**
+ * @param {Recording} recording
+ * @param {string} family
+ * @returns {{ text: string; cidrs: string[]; ips: number }}
+ */
+const renderList = (recording, family) => {
+  const provenance = new Map(); // ip → Set("<host> - <via>")
+  for (const [host, observations] of Object.entries(recording)) {
+    for (const { ip, via } of observations) {
+      const fam = familyOf(ip);
+      if (!fam || (family !== "both" && fam !== family)) continue;
+      if (!provenance.has(ip)) provenance.set(ip, new Set());
+      provenance.get(ip).add(`${host} - ${via}`);
+    }
+  }
+  const ips = Array.from(provenance.keys()).sort(compareIPs);
+  const cidrs = aggregateCidrs(ips.map((ip) => `${ip}/${ip.includes(":") ? 128 : 32}`));
+  const lines = [];
+  let i = 0;
+  for (const cidr of cidrs) {
+    lines.push(`${cidr.includes(":") ? "IP-CIDR6" : "IP-CIDR"},${cidr}`);
+    const range = cidrToRange(cidr);
+    for (; i < ips.length; i++) {
+      const r = cidrToRange(`${ips[i]}/${ips[i].includes(":") ? 128 : 32}`);
+      if (r.v4 !== range.v4 || r.from > range.to) break;
+      for (const source of provenance.get(ips[i])) lines.push(`\t # ${ips[i]} ${source}`);
+    }
+  }
+  return { text: lines.join("\n") + "\n", cidrs, ips: ips.length };
+};
+
+const readPreviousCidrs = async (listPath) => {
+  let text = "";
+  try {
+    text = await fsp.readFile(listPath, "utf8");
+  } catch (_) {
+    return [];
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(","))
+    .filter(([kind, value]) => (kind === "IP-CIDR" || kind === "IP-CIDR6") && value)
+    .map(([, value]) => value.trim());
+};
+
+const printDiff = (previous, next) => {
+  const before = cidrsToRanges(previous);
+  const after = cidrsToRanges(next);
+  const added = rangesToCidrList(subtractRanges(after, before));
+  const removed = rangesToCidrList(subtractRanges(before, after));
+  const show = (sign, { cidr4, cidr6 }) => {
+    for (const cidr of [...cidr4, ...cidr6]) console.log(`  ${sign} ${cidr}`);
+  };
+  const count = ({ cidr4, cidr6 }) => cidr4.length + cidr6.length;
+  console.log(`Diff against previous list: +${count(added)} / -${count(removed)} CIDR(s)`);
+  show("+", added);
+  show("-", removed);
+};
+
+const main = async () => {
+  const configPath = process.argv[2];
+  if (!configPath) throw new Error("Usage: node scripts/probe-dns.mjs <config.probe.json>");
+  const config = await loadConfig(configPath);
+  const resolve = RESOLVERS[config.resolver.type];
+  if (!resolve) throw new Error(`Unknown resolver "${config.resolver.type}". Supported: ${Object.keys(RESOLVERS).join(", ")}`);
+
+  console.log(`Resolving ${config.hosts.length} host(s) via ${config.resolver.type} ...`);
+  const recording = await resolve(config.hosts, config);
+  const missing = config.hosts.filter((h) => !recording[h]?.length);
+  if (missing.length) console.warn(`No answers for ${missing.length} host(s): ${missing.join(", ")}`);
+  if (process.env.PROBE_RECORD) {
+    await fsp.writeFile(process.env.PROBE_RECORD, JSON.stringify(recording, null, 2) + "\n", "utf8");
+    console.log("Recorded observations to", process.env.PROBE_RECORD);
+  }
+
+  const { text, cidrs, ips } = renderList(recording, config.family);
+  if (cidrs.length === 0) throw new Error("No addresses observed; keeping the previous list");
+  const listPath = path.join(path.dirname(configPath), `${config.output}.list`);
+  printDiff(await readPreviousCidrs(listPath), cidrs);
+  if (DRY_RUN) {
+    console.log(`[dry-run] ${ips} IP(s) → ${cidrs.length} CIDR(s); not writing ${listPath}`);
+    return;
+  }
+  await fsp.writeFile(listPath, text, "utf8");
+  console.log(`Wrote ${ips} IP(s) as ${cidrs.length} CIDR(s) to ${listPath}`);
+};
+
+main().catch((err) => {
+  console.error("Failed to probe DNS:", err);
+  process.exit(1);
+});
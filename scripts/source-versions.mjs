@@ -0,0 +1,117 @@
+// Resolve the version of every enabled input in sources.json without building anything
+// - url sources: sha256 of the downloaded file; path sources: sha256 of the local file
+//   With SOURCES_DIR set, each download is kept there (shared/sources.mjs
+//   downloadedSourceName) and the builds read it instead of fetching the url again
+//   (v2fly-dir: of its "name sha256" lines; csv: together with its locations file)
+// - Per kind the versions are combined like build-geosite-json.mjs records them
+//   (shared/sources.mjs combinedVersion), so geosite= equals the build's version
+// - Optional sources that cannot be read are left out, as the builds skip them
+// - asn=: sha256 of the ASN_DATA_PATH files and ASN_LIST (npm run build:asn), "none" when unset
+// - Prints geosite=<sha256>, geoip=<sha256> and asn=<sha256>; appends them to $GITHUB_OUTPUT
+//   when set (CI cache keys and BUILD_VERSION)
+//
+// Usage:
+//   SOURCES_DIR=dist/sources node scripts/source-versions.mjs
+//   # SOURCES_CONFIG=<path> overrides sources.json
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { combinedVersion, downloadedSourceName, parseSourcesConfig } from "../shared/sources.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const SOURCES_PATH = process.env.SOURCES_CONFIG || path.join(REPO_ROOT, "sources.json");
+const SOURCES_DIR = process.env.SOURCES_DIR ? path.resolve(REPO_ROOT, process.env.SOURCES_DIR) : null;
+// Input formats each build accepts (see build-geosite-json.mjs / build-geoip-json.mjs)
+const FORMATS = { geosite: ["dat", "v2fly-dir"], geoip: ["dat", "mmdb", "csv"] };
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+const hashStream = async (stream) => {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of stream) hash.update(chunk);
+  return hash.digest("hex");
+};
+
+// Hash while writing to `file` (when given); a failed download leaves no file behind, so the
+// build skips an optional source here too instead of reading a partial one
+const hashUrl = async (url, file) => {
+  if (file) await fsp.rm(file, { force: true });
+  const res = await fetch(url, { redirect: "follow" });
+  if (!res.ok || !res.body) throw new Error(`Failed to download ${url}: ${res.status} ${res.statusText}`);
+  if (!file) return hashStream(res.body);
+  const hash = crypto.createHash("sha256");
+  const out = await fsp.open(`${file}.part`, "w");
+  try {
+    for await (const chunk of res.body) {
+      hash.update(chunk);
+      await out.write(chunk);
+    }
+  } finally {
+    await out.close();
+  }
+  await fsp.rename(`${file}.part`, file);
+  return hash.digest("hex");
+};
+
+const hashFile = (file) => hashStream(fs.createReadStream(path.resolve(REPO_ROOT, file)));
+
+// Same digest as readV2flyDir in build-geosite-json.mjs
+const hashV2flyDir = async (dir) => {
+  const abs = path.resolve(REPO_ROOT, dir);
+  const names = (await fsp.readdir(abs)).filter((f) => !f.startsWith(".")).sort();
+  const hash = crypto.createHash("sha256");
+  for (const name of names) hash.update(`${name} ${sha256(await fsp.readFile(path.join(abs, name), "utf8"))}\n`);
+  return hash.digest("hex");
+};
+
+const sourceVersion = async (kind, spec) => {
+  if (spec.format === "v2fly-dir") return hashV2flyDir(spec.path);
+  const download = SOURCES_DIR && path.join(SOURCES_DIR, downloadedSourceName(kind, spec));
+  const main = spec.path ? await hashFile(spec.path) : await hashUrl(spec.url, download);
+  // Same digest as readSource in build-geoip-json.mjs
+  return spec.locations ? sha256(`${main} ${await hashFile(spec.locations)}`) : main;
+};
+
+// Same inputs as scripts/build-asn.mjs
+const asnVersion = async () => {
+  const files = (process.env.ASN_DATA_PATH || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (files.length === 0) return "none";
+  const hashes = [];
+  for (const file of files) hashes.push(await hashFile(file));
+  return sha256(`${hashes.join(" ")} ${process.env.ASN_LIST || ""}`);
+};
+
+const main = async () => {
+  const config = JSON.parse(await fsp.readFile(SOURCES_PATH, "utf8"));
+  if (SOURCES_DIR) await fsp.mkdir(SOURCES_DIR, { recursive: true });
+  const lines = [];
+  for (const kind of Object.keys(FORMATS)) {
+    const infos = [];
+    for (const spec of parseSourcesConfig(config, kind, FORMATS[kind])) {
+      try {
+        infos.push({ id: spec.id, url: spec.url || spec.path, sha256: await sourceVersion(kind, spec) });
+      } catch (err) {
+        if (!spec.optional) throw err;
+        console.warn(`Skipping optional ${kind} source ${spec.id}: ${err.message}`);
+        continue;
+      }
+      console.warn(`${kind} ${spec.id}: ${infos.at(-1).sha256}`);
+    }
+    if (infos.length === 0) throw new Error(`No ${kind} source could be read`);
+    lines.push(`${kind}=${combinedVersion(infos, sha256)}`);
+  }
+  lines.push(`asn=${await asnVersion()}`);
+  console.log(lines.join("\n"));
+  if (process.env.GITHUB_OUTPUT) await fsp.appendFile(process.env.GITHUB_OUTPUT, lines.join("\n") + "\n");
+};
+
+main().catch((err) => {
+  console.error("Failed to resolve source versions:", err);
+  process.exit(1);
+});
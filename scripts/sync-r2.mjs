@@ -6,13 +6,41 @@
 //
 // Included paths → bucket keys:
 //   dist/geosite-json/*.json  → geosite-json/<file>
+//   dist/geosite-meta/*.json  → geosite-meta/<file>
+//   dist/geoip-meta/*.json    → geoip-meta/<file>
 //   dist/srs/*.srs            → geosite/<file>
+//   dist/surge/*.list         → surge/<file>
+//   dist/domainset/*.list     → domainset/<file>
+//   dist/domainset-rules/*.list → domainset-rules/<file>
+//   dist/mrs/*.mrs            → geosite/<file>
+//   dist/mrs-geoip/*.mrs      → geoip/<file>
+//   dist/asn-json/*.json      → asn-json/<file>
+//   dist/srs-asn/*.srs        → asn/<file>
+//   dist/lookup/**            → lookup/<path>
+//   dist/misc-json/**         → misc-json/<category>/<file>
+//   dist/misc/**/*.srs        → misc/<category>/<file>
 //   index.json (repo root)    → geosite/index.json
+//   dist/<kind>-names.json    → <kind>/names.json (geosite, geoip)
+//   dist/<kind>-catalog.json  → <kind>/catalog.json (geosite, geoip)
+//
+// History (after the upload, from dist/geosite-build.json written by build-geosite-json.mjs):
+//   geosite-history/builds.json           one { id, version, builtAt } per build that changed something
+//                                         (id: hash of the served categories, custom/ included;
+//                                         version: the source hash, shared by custom/-only builds)
+//   geosite-history/latest.json           the last recorded build (name → JSON sha256)
+//   geosite-history/<NAME>/<sha256>.json  content-addressed snapshot, uploaded once
+//   geosite-history/<NAME>/log.json       { n, id, version, builtAt, sha256 | null } per change
+//
+// On-demand objects (ondemand/<build id>/<deployment id>/..., compiled by the Worker for
+// filters and ASN combinations without a prebuilt object): with BUILD_VERSION set, every
+// ondemand/ prefix except the one of that build is deleted. Objects of earlier deployments
+// within the current build are no longer read and go with the next build. The build id is
+// the first 16 hex digits of sha256(BUILD_VERSION), as in worker/conditional.ts.
 //
 // Usage:
 //   R2_BUCKET=<bucket_name> node scripts/sync-r2.mjs
 //   # Optional env:
-//   #   R2_CONCURRENCY=6  DRY_RUN=1  MANIFEST_KEY=manifests/geosite.json
+//   #   R2_CONCURRENCY=6  DRY_RUN=1  MANIFEST_KEY=manifests/geosite.json  BUILD_VERSION=<version>
 //
 // Transport: AWS CLI (S3-compatible)
 //   Required env: R2_ACCESS_KEY_ID & R2_SECRET_ACCESS_KEY (or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)
@@ -33,10 +61,24 @@ const REPO_ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname),
 const DIST_DIR = path.join(REPO_ROOT, "dist");
 const SRC_JSON_DIR = path.join(DIST_DIR, "geosite-json");
 const SRC_GEOIP_JSON_DIR = path.join(DIST_DIR, "geoip-json");
+const META_DIR = path.join(DIST_DIR, "geosite-meta");
+const META_GEOIP_DIR = path.join(DIST_DIR, "geoip-meta");
 const SRS_DIR = path.join(DIST_DIR, "srs");
+const SURGE_DIR = path.join(DIST_DIR, "surge");
+const DOMAINSET_DIR = path.join(DIST_DIR, "domainset");
+const DOMAINSET_RULES_DIR = path.join(DIST_DIR, "domainset-rules");
 const SRS_GEOIP_DIR = path.join(DIST_DIR, "srs-geoip");
+const MRS_DIR = path.join(DIST_DIR, "mrs");
+const MRS_GEOIP_DIR = path.join(DIST_DIR, "mrs-geoip");
+const ASN_JSON_DIR = path.join(DIST_DIR, "asn-json");
+const SRS_ASN_DIR = path.join(DIST_DIR, "srs-asn");
+const LOOKUP_DIR = path.join(DIST_DIR, "lookup");
+const MISC_JSON_DIR = path.join(DIST_DIR, "misc-json");
+const MISC_SRS_DIR = path.join(DIST_DIR, "misc");
+const BUILD_RECORD_JSON = path.join(DIST_DIR, "geosite-build.json");
 const ROOT_INDEX_JSON = path.join(REPO_ROOT, "index.json");
 const ROOT_GEOIP_INDEX_JSON = path.join(REPO_ROOT, "geoip-index.json");
+const INDEX_KINDS = ["geosite", "geoip"];
 
 const DEFAULT_MANIFEST_KEY = process.env.MANIFEST_KEY || "manifests/geosite.json";
 const CONCURRENCY = Math.max(1, Number(process.env.R2_CONCURRENCY || 6));
@@ -86,7 +128,9 @@ const sha256File = async (file) => {
 
 const contentTypeFor = (file) => {
   if (file.endsWith(".json")) return "application/json";
+  if (file.endsWith(".list")) return "text/plain; charset=utf-8";
   if (file.endsWith(".srs")) return "application/octet-stream";
+  if (file.endsWith(".mrs")) return "application/octet-stream";
   return "application/octet-stream";
 };
 
@@ -104,18 +148,85 @@ const buildLocalPlan = async () => {
     const key = `geoip-json/${path.basename(f)}`;
     plan.push({ file: f, key, size: (await fsp.stat(f)).size });
   }
+  // dist/geosite-meta → geosite-meta/
+  const metaFiles = await walk(META_DIR, (f) => f.endsWith(".json"));
+  for (const f of metaFiles) {
+    const key = `geosite-meta/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/geoip-meta → geoip-meta/
+  const geoipMetaFiles = await walk(META_GEOIP_DIR, (f) => f.endsWith(".json"));
+  for (const f of geoipMetaFiles) {
+    const key = `geoip-meta/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
   // dist/srs → geosite/
   const srsFiles = await walk(SRS_DIR, (f) => f.endsWith(".srs"));
   for (const f of srsFiles) {
     const key = `geosite/${path.basename(f)}`;
     plan.push({ file: f, key, size: (await fsp.stat(f)).size });
   }
+  // dist/surge → surge/
+  const surgeFiles = await walk(SURGE_DIR, (f) => f.endsWith(".list"));
+  for (const f of surgeFiles) {
+    const key = `surge/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/domainset → domainset/, dist/domainset-rules → domainset-rules/
+  for (const [dir, prefix] of [
+    [DOMAINSET_DIR, "domainset"],
+    [DOMAINSET_RULES_DIR, "domainset-rules"],
+  ]) {
+    for (const f of await walk(dir, (f) => f.endsWith(".list"))) {
+      plan.push({ file: f, key: `${prefix}/${path.basename(f)}`, size: (await fsp.stat(f)).size });
+    }
+  }
   // dist/srs-geoip → geoip/
   const srsGeoipFiles = await walk(SRS_GEOIP_DIR, (f) => f.endsWith(".srs"));
   for (const f of srsGeoipFiles) {
     const key = `geoip/${path.basename(f)}`;
     plan.push({ file: f, key, size: (await fsp.stat(f)).size });
   }
+  // dist/mrs → geosite/
+  const mrsFiles = await walk(MRS_DIR, (f) => f.endsWith(".mrs"));
+  for (const f of mrsFiles) {
+    const key = `geosite/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/mrs-geoip → geoip/
+  const mrsGeoipFiles = await walk(MRS_GEOIP_DIR, (f) => f.endsWith(".mrs"));
+  for (const f of mrsGeoipFiles) {
+    const key = `geoip/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/asn-json → asn-json/, dist/srs-asn → asn/
+  const asnJsonFiles = await walk(ASN_JSON_DIR, (f) => f.endsWith(".json"));
+  for (const f of asnJsonFiles) {
+    const key = `asn-json/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  const srsAsnFiles = await walk(SRS_ASN_DIR, (f) => f.endsWith(".srs"));
+  for (const f of srsAsnFiles) {
+    const key = `asn/${path.basename(f)}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/lookup → lookup/ (keeps sub-directories)
+  const lookupFiles = await walk(LOOKUP_DIR, (f) => f.endsWith(".json"));
+  for (const f of lookupFiles) {
+    const key = `lookup/${path.relative(LOOKUP_DIR, f).split(path.sep).join("/")}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  // dist/misc-json → misc-json/, dist/misc → misc/ (keep the category directory)
+  const miscJsonFiles = await walk(MISC_JSON_DIR, (f) => f.endsWith(".json"));
+  for (const f of miscJsonFiles) {
+    const key = `misc-json/${path.relative(MISC_JSON_DIR, f).split(path.sep).join("/")}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
+  const miscSrsFiles = await walk(MISC_SRS_DIR, (f) => f.endsWith(".srs"));
+  for (const f of miscSrsFiles) {
+    const key = `misc/${path.relative(MISC_SRS_DIR, f).split(path.sep).join("/")}`;
+    plan.push({ file: f, key, size: (await fsp.stat(f)).size });
+  }
   // repo index.json → geosite/index.json
   try {
     const st = await fsp.stat(ROOT_INDEX_JSON);
@@ -130,6 +241,16 @@ const buildLocalPlan = async () => {
       plan.push({ file: ROOT_GEOIP_INDEX_JSON, key: "geoip/index.json", size: st.size });
     }
   } catch (_) {}
+  // dist/<kind>-names.json → <kind>/names.json, dist/<kind>-catalog.json → <kind>/catalog.json
+  for (const kind of INDEX_KINDS) {
+    for (const what of ["names", "catalog"]) {
+      const file = path.join(DIST_DIR, `${kind}-${what}.json`);
+      try {
+        const st = await fsp.stat(file);
+        if (st.isFile()) plan.push({ file, key: `${kind}/${what}.json`, size: st.size });
+      } catch (_) {}
+    }
+  }
   // compute sha256
   for (const p of plan) {
     p.sha256 = await sha256File(p.file);
@@ -174,8 +295,9 @@ const requireAwsConfig = () => {
 };
 
 // ---------- Remote I/O ----------
-const fetchRemoteManifest = async (bucket, key) => {
-  const tmp = path.join(os.tmpdir(), `r2-manifest-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
+// Missing or invalid objects yield the fallback
+const fetchRemoteJSON = async (bucket, key, fallback) => {
+  const tmp = path.join(os.tmpdir(), `r2-get-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
   try {
     const { accessKey, secretKey, endpoint, region } = requireAwsConfig();
     // get-object: positional outfile must be last
@@ -200,12 +322,14 @@ const fetchRemoteManifest = async (bucket, key) => {
     await fsp.unlink(tmp).catch(() => {});
     return JSON.parse(txt);
   } catch (e) {
-    // Treat missing or invalid manifest as empty
     await fsp.unlink(tmp).catch(() => {});
-    return { version: 1, generatedAt: 0, entries: {} };
+    return fallback;
   }
 };
 
+// Treat missing or invalid manifest as empty
+const fetchRemoteManifest = (bucket, key) => fetchRemoteJSON(bucket, key, { version: 1, generatedAt: 0, entries: {} });
+
 const putObject = async (bucket, key, file, contentType) => {
   const { accessKey, secretKey, endpoint, region } = requireAwsConfig();
   await awsCli([
@@ -230,6 +354,31 @@ const putObject = async (bucket, key, file, contentType) => {
   });
 };
 
+const putJSON = async (bucket, key, data) => {
+  if (DRY_RUN) {
+    console.log(`[DRY] PUT ${key}`);
+    return;
+  }
+  const tmp = path.join(os.tmpdir(), `r2-put-${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
+  await fsp.writeFile(tmp, JSON.stringify(data));
+  try {
+    await putObject(bucket, key, tmp, "application/json");
+    console.log(`PUT ${key}`);
+  } finally {
+    await fsp.unlink(tmp).catch(() => {});
+  }
+};
+
+const runConcurrent = async (items, fn) => {
+  let idx = 0;
+  const workers = Array.from({ length: CONCURRENCY }, async () => {
+    while (idx < items.length) {
+      await fn(items[idx++]);
+    }
+  });
+  await Promise.all(workers);
+};
+
 const uploadPlan = async (bucket, manifestKey, localPlan, remoteManifest) => {
   const remoteEntries = remoteManifest?.entries || {};
   const changed = [];
@@ -285,6 +434,91 @@ const uploadPlan = async (bucket, manifestKey, localPlan, remoteManifest) => {
   return merged;
 };
 
+// Append the local build to geosite-history/: snapshot and log every category whose
+// JSON changed since the last recorded build (removed categories log sha256: null)
+const recordHistory = async (bucket) => {
+  let record;
+  try {
+    record = JSON.parse(await fsp.readFile(BUILD_RECORD_JSON, "utf8"));
+  } catch (_) {
+    console.log("No geosite build record; skip history.");
+    return;
+  }
+  const previous = await fetchRemoteJSON(bucket, "geosite-history/latest.json", { categories: {} });
+  const changes = [];
+  for (const [name, sha256] of Object.entries(record.categories)) {
+    if (previous.categories[name] !== sha256) changes.push({ name, sha256 });
+  }
+  for (const name of Object.keys(previous.categories)) {
+    if (!(name in record.categories)) changes.push({ name, sha256: null });
+  }
+  if (changes.length === 0) {
+    console.log("History: no category changed since the last recorded build.");
+    return;
+  }
+
+  const builds = await fetchRemoteJSON(bucket, "geosite-history/builds.json", []);
+  const build = { id: record.id, version: record.version, builtAt: record.builtAt };
+  const n = builds.length;
+  console.log(`History: build #${n} (${record.id.slice(0, 12)}) changed ${changes.length} category(ies)`);
+  await runConcurrent(changes, async ({ name, sha256 }) => {
+    if (sha256) {
+      const key = `geosite-history/${name}/${sha256}.json`;
+      if (DRY_RUN) console.log(`[DRY] PUT ${key}`);
+      else {
+        await putObject(bucket, key, path.join(SRC_JSON_DIR, `${name}.json`), "application/json");
+        console.log(`PUT ${key}`);
+      }
+    }
+    const log = await fetchRemoteJSON(bucket, `geosite-history/${name}/log.json`, []);
+    if (log.at(-1)?.n === n) log.pop(); // retry of a run that failed before builds.json
+    log.push({ n, ...build, sha256 });
+    await putJSON(bucket, `geosite-history/${name}/log.json`, log);
+  });
+  // Written last: a failed run is retried in full by the next one
+  await putJSON(bucket, "geosite-history/builds.json", [...builds, build]);
+  await putJSON(bucket, "geosite-history/latest.json", record);
+};
+
+// Delete on-demand objects written under any build other than BUILD_VERSION
+const pruneOnDemand = async (bucket) => {
+  const version = process.env.BUILD_VERSION;
+  if (!version) {
+    console.log("BUILD_VERSION not set; skip on-demand pruning.");
+    return;
+  }
+  const keep = `ondemand/${crypto.createHash("sha256").update(version).digest("hex").slice(0, 16)}/`;
+  const { accessKey, secretKey, endpoint, region } = requireAwsConfig();
+  const env = { AWS_ACCESS_KEY_ID: accessKey, AWS_SECRET_ACCESS_KEY: secretKey, AWS_S3_FORCE_PATH_STYLE: "true" };
+  const { stdout } = await awsCli([
+    "s3api",
+    "list-objects-v2",
+    "--bucket",
+    bucket,
+    "--prefix",
+    "ondemand/",
+    "--delimiter",
+    "/",
+    "--query",
+    "CommonPrefixes[].Prefix",
+    "--output",
+    "json",
+    "--endpoint-url",
+    endpoint,
+    "--region",
+    region,
+  ], env);
+  const stale = (JSON.parse(stdout || "null") || []).filter((prefix) => prefix !== keep);
+  for (const prefix of stale) {
+    if (DRY_RUN) {
+      console.log(`[DRY] DELETE ${prefix}*`);
+      continue;
+    }
+    await awsCli(["s3", "rm", `s3://${bucket}/${prefix}`, "--recursive", "--only-show-errors", "--endpoint-url", endpoint, "--region", region], env);
+    console.log(`DELETE ${prefix}*`);
+  }
+};
+
 const main = async () => {
   const bucket = await getBucketName();
   const manifestKey = DEFAULT_MANIFEST_KEY;
@@ -304,6 +538,8 @@ const main = async () => {
 
   const remoteManifest = await fetchRemoteManifest(bucket, manifestKey);
   await uploadPlan(bucket, manifestKey, plan, remoteManifest);
+  await recordHistory(bucket);
+  await pruneOnDemand(bucket);
 };
 
 main().catch((err) => {
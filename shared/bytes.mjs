@@ -0,0 +1,89 @@
+// Minimal big-endian binary writer/reader for the rule-set encoders
+
+export class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+  bytes(u8) {
+    this.chunks.push(u8);
+    this.length += u8.length;
+  }
+  u8(v) {
+    this.bytes(Uint8Array.of(v));
+  }
+  i64(v) {
+    const b = new Uint8Array(8);
+    new DataView(b.buffer).setBigInt64(0, BigInt(v));
+    this.bytes(b);
+  }
+  u64(v) {
+    const b = new Uint8Array(8);
+    new DataView(b.buffer).setBigUint64(0, BigInt(v));
+    this.bytes(b);
+  }
+  // Go encoding/binary Uvarint (LEB128)
+  uvarint(v) {
+    let n = BigInt(v);
+    const out = [];
+    while (n >= 0x80n) {
+      out.push(Number(n & 0x7fn) | 0x80);
+      n >>= 7n;
+    }
+    out.push(Number(n));
+    this.bytes(Uint8Array.from(out));
+  }
+  toUint8Array() {
+    const out = new Uint8Array(this.length);
+    let off = 0;
+    for (const c of this.chunks) {
+      out.set(c, off);
+      off += c.length;
+    }
+    return out;
+  }
+}
+
+export class ByteReader {
+  constructor(u8) {
+    this.buf = u8;
+    this.view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+    this.off = 0;
+  }
+  ensure(n) {
+    if (this.off + n > this.buf.length) throw new Error("unexpected end of data");
+  }
+  bytes(n) {
+    this.ensure(n);
+    const out = this.buf.subarray(this.off, this.off + n);
+    this.off += n;
+    return out;
+  }
+  u8() {
+    this.ensure(1);
+    return this.buf[this.off++];
+  }
+  i64() {
+    this.ensure(8);
+    const v = this.view.getBigInt64(this.off);
+    this.off += 8;
+    return v;
+  }
+  u64() {
+    this.ensure(8);
+    const v = this.view.getBigUint64(this.off);
+    this.off += 8;
+    return v;
+  }
+  uvarint() {
+    let result = 0n;
+    let shift = 0n;
+    while (true) {
+      const b = this.u8();
+      result |= BigInt(b & 0x7f) << shift;
+      if (b < 0x80) return result;
+      shift += 7n;
+      if (shift > 63n) throw new Error("uvarint overflow");
+    }
+  }
+}
@@ -0,0 +1,238 @@
+// IP/CIDR helpers: parsing, aggregation and set operations (build scripts, encoders, Worker)
+// Addresses are BigInts in their native family (32-bit for IPv4, 128-bit for IPv6).
+
+/**
+ * @typedef {{ v4: boolean; from: bigint; to: bigint }} IPRange
+ */
+
+export const parseIPv4 = (s) => {
+  const parts = s.split(".");
+  if (parts.length !== 4) return null;
+  let v = 0n;
+  for (const p of parts) {
+    const n = Number(p);
+    if (!/^\d+$/.test(p) || n > 255) return null;
+    v = (v << 8n) | BigInt(n);
+  }
+  return v;
+};
+
+export const parseIPv6 = (s) => {
+  // "::" may stand for one run of zero words only ("1::2::3" is ambiguous)
+  if (s.indexOf("::") !== s.lastIndexOf("::")) return null;
+  const [head, tail] = s.includes("::") ? s.split("::", 2) : [s, null];
+  const toWords = (part) => {
+    if (!part) return [];
+    const out = [];
+    for (const w of part.split(":")) {
+      if (w.includes(".")) {
+        const v4 = parseIPv4(w);
+        if (v4 === null) return null;
+        out.push(Number(v4 >> 16n), Number(v4 & 0xffffn));
+      } else {
+        if (!/^[0-9a-f]{1,4}$/i.test(w)) return null;
+        out.push(parseInt(w, 16));
+      }
+    }
+    return out;
+  };
+  const h = toWords(head);
+  const t = tail === null ? [] : toWords(tail);
+  if (!h || !t) return null;
+  const fill = tail === null ? 0 : 8 - h.length - t.length;
+  // "::" replaces at least one zero word
+  if (fill < (tail === null ? 0 : 1) || h.length + fill + t.length !== 8) return null;
+  const words = [...h, ...new Array(fill).fill(0), ...t];
+  let v = 0n;
+  for (const w of words) v = (v << 16n) | BigInt(w);
+  return v;
+};
+
+export const formatIPv4 = (v) =>
+  [24n, 16n, 8n, 0n].map((shift) => String((v >> shift) & 0xffn)).join(".");
+
+// RFC 5952: lowercase, longest run (≥ 2) of zero words compressed to "::"
+export const formatIPv6 = (v) => {
+  const words = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) words.push(Number((v >> shift) & 0xffffn));
+  let bestStart = -1;
+  let bestLen = 0;
+  for (let i = 0; i < 8; ) {
+    if (words[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && words[j] === 0) j++;
+    if (j - i > bestLen) {
+      bestStart = i;
+      bestLen = j - i;
+    }
+    i = j;
+  }
+  if (bestLen < 2) return words.map((w) => w.toString(16)).join(":");
+  const head = words.slice(0, bestStart).map((w) => w.toString(16)).join(":");
+  const tail = words.slice(bestStart + bestLen).map((w) => w.toString(16)).join(":");
+  return `${head}::${tail}`;
+};
+
+/**
+ * CIDR (or bare address) → inclusive range; null when unparsable
+ * @param {string} cidr
+ * @returns {IPRange | null}
+ */
+export const cidrToRange = (cidr) => {
+  const [addr, lenStr, ...rest] = cidr.trim().split("/");
+  // Number("") and Number(" 8") would accept "1.2.3.4/" as /0 and "1.2.3.4/ 8" as /8
+  if (rest.length > 0 || (lenStr !== undefined && !/^\d{1,3}$/.test(lenStr))) return null;
+  const v4 = !addr.includes(":");
+  const bits = v4 ? 32 : 128;
+  const prefix = lenStr === undefined ? bits : Number(lenStr);
+  const ip = v4 ? parseIPv4(addr) : parseIPv6(addr);
+  if (ip === null || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+  const mask = (1n << BigInt(bits - prefix)) - 1n;
+  return { v4, from: ip & ~mask, to: ip | mask };
+};
+
+/**
+ * Sort and merge overlapping/adjacent ranges; IPv4 sorts before IPv6
+ * @param {IPRange[]} ranges
+ * @returns {IPRange[]}
+ */
+export const mergeRanges = (ranges) => {
+  const sorted = ranges.slice().sort((a, b) => {
+    if (a.v4 !== b.v4) return a.v4 ? -1 : 1;
+    return a.from < b.from ? -1 : a.from > b.from ? 1 : 0;
+  });
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && last.v4 === r.v4 && r.from <= last.to + 1n) {
+      if (r.to > last.to) last.to = r.to;
+    } else {
+      out.push({ ...r });
+    }
+  }
+  return out;
+};
+
+/**
+ * Minimal list of CIDRs covering exactly the range
+ * @param {IPRange} range
+ * @returns {string[]}
+ */
+export const rangeToCidrs = ({ v4, from, to }) => {
+  const bits = v4 ? 32 : 128;
+  const format = v4 ? formatIPv4 : formatIPv6;
+  const out = [];
+  let cur = from;
+  while (cur <= to) {
+    // Largest block aligned at cur that does not pass `to`
+    let size = 0;
+    while (size < bits) {
+      const next = size + 1;
+      const blockMask = (1n << BigInt(next)) - 1n;
+      if ((cur & blockMask) !== 0n || cur + blockMask > to) break;
+      size = next;
+    }
+    out.push(`${format(cur)}/${bits - size}`);
+    cur += 1n << BigInt(size);
+  }
+  return out;
+};
+
+/**
+ * @param {string[]} cidrs
+ * @returns {IPRange[]} merged ranges; unparsable entries are ignored
+ */
+export const cidrsToRanges = (cidrs) => {
+  const ranges = [];
+  for (const c of cidrs) {
+    const r = cidrToRange(c);
+    if (r) ranges.push(r);
+  }
+  return mergeRanges(ranges);
+};
+
+// ---------- set operations on merged range lists ----------
+
+const byFamily = (ranges) => [ranges.filter((r) => r.v4), ranges.filter((r) => !r.v4)];
+
+const subtractFamily = (a, b) => {
+  const out = [];
+  let j = 0;
+  for (const r of a) {
+    let from = r.from;
+    while (j < b.length && b[j].to < from) j++;
+    for (let k = j; k < b.length && b[k].from <= r.to && from <= r.to; k++) {
+      if (b[k].from > from) out.push({ v4: r.v4, from, to: b[k].from - 1n });
+      if (b[k].to + 1n > from) from = b[k].to + 1n;
+    }
+    if (from <= r.to) out.push({ v4: r.v4, from, to: r.to });
+  }
+  return out;
+};
+
+const intersectFamily = (a, b) => {
+  const out = [];
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    const from = a[i].from > b[j].from ? a[i].from : b[j].from;
+    const to = a[i].to < b[j].to ? a[i].to : b[j].to;
+    if (from <= to) out.push({ v4: a[i].v4, from, to });
+    if (a[i].to < b[j].to) i++;
+    else j++;
+  }
+  return out;
+};
+
+/**
+ * @param {IPRange[]} a merged ranges (see mergeRanges)
+ * @param {IPRange[]} b merged ranges
+ * @returns {IPRange[]}
+ */
+export const unionRanges = (a, b) => mergeRanges([...a, ...b]);
+
+/**
+ * Addresses in a but not in b
+ * @param {IPRange[]} a merged ranges
+ * @param {IPRange[]} b merged ranges
+ * @returns {IPRange[]}
+ */
+export const subtractRanges = (a, b) => {
+  const [a4, a6] = byFamily(a);
+  const [b4, b6] = byFamily(b);
+  return [...subtractFamily(a4, b4), ...subtractFamily(a6, b6)];
+};
+
+/**
+ * Addresses in both a and b
+ * @param {IPRange[]} a merged ranges
+ * @param {IPRange[]} b merged ranges
+ * @returns {IPRange[]}
+ */
+export const intersectRanges = (a, b) => {
+  const [a4, a6] = byFamily(a);
+  const [b4, b6] = byFamily(b);
+  return [...intersectFamily(a4, b4), ...intersectFamily(a6, b6)];
+};
+
+/**
+ * @param {IPRange[]} ranges
+ * @returns {{ cidr4: string[]; cidr6: string[] }} minimal CIDRs in numeric order
+ */
+export const rangesToCidrList = (ranges) => {
+  const cidr4 = [];
+  const cidr6 = [];
+  for (const r of ranges) (r.v4 ? cidr4 : cidr6).push(...rangeToCidrs(r));
+  return { cidr4, cidr6 };
+};
+
+/**
+ * Merge adjacent/contained prefixes and sort numerically; unparsable entries are dropped
+ * @param {string[]} cidrs
+ * @returns {string[]}
+ */
+export const aggregateCidrs = (cidrs) => {
+  const { cidr4, cidr6 } = rangesToCidrList(cidrsToRanges(cidrs));
+  return [...cidr4, ...cidr6];
+};
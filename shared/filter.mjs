@@ -0,0 +1,189 @@
+// Attribute filter expressions for geosite rules (the part after "@")
+// Grammar (whitespace ignored, attribute names case-insensitive):
+//   expr  := and ( "|" and )*
+//   and   := unary ( "&" unary )*
+//   unary := "!" unary | "(" expr ")" | attr
+//   attr  := name [ "=" value ]       e.g. cn, ads, !cn, cn&!ads, (cn|ads)&!x, priority=2
+// A bare name matches a bool attribute or an int attribute with any value
+// ("key=value" strings as written by build-geosite-json.mjs); name=value matches exactly.
+// origin is a pseudo-attribute over a rule's include path (shared/v2fly.mjs): origin=<list>
+// matches rules included through that list, a bare origin any included rule, e.g.
+// google@!origin=google-ads drops what google pulls in from its google-ads list.
+
+/**
+ * @typedef {{ op: "or" | "and"; args: FilterNode[] } | { op: "not"; arg: FilterNode } | { op: "attr"; key: string; value: string | null }} FilterNode
+ */
+
+export class FilterSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} expr
+   * @param {number} position 0-based offset into expr
+   */
+  constructor(message, expr, position) {
+    super(`${message} at position ${position}`);
+    this.name = "FilterSyntaxError";
+    this.expr = expr;
+    this.position = position;
+  }
+
+  // Expression with a caret under the offending character, for plain-text responses
+  pointer() {
+    return `${this.expr}\n${" ".repeat(this.position)}^`;
+  }
+}
+
+const NAME_CHAR = /[a-z0-9_.-]/i;
+const VALUE_CHAR = /[a-z0-9_.!-]/i; // list names such as geolocation-!cn
+
+/**
+ * @param {string} expr
+ * @returns {FilterNode}
+ */
+export const parseFilter = (expr) => {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < expr.length && /\s/.test(expr[pos])) pos++;
+  };
+  const peek = () => {
+    skipSpace();
+    return expr[pos];
+  };
+  const fail = (message) => {
+    throw new FilterSyntaxError(message, expr, pos);
+  };
+  const describe = (ch) => (ch === undefined ? "end of expression" : `"${ch}"`);
+
+  const readName = (what, chars = NAME_CHAR) => {
+    skipSpace();
+    const start = pos;
+    while (pos < expr.length && chars.test(expr[pos])) pos++;
+    if (pos === start) fail(`Expected ${what}, found ${describe(expr[pos])}`);
+    return expr.slice(start, pos).toLowerCase();
+  };
+
+  const parseUnary = () => {
+    const ch = peek();
+    if (ch === "!") {
+      pos++;
+      return { op: "not", arg: parseUnary() };
+    }
+    if (ch === "(") {
+      pos++;
+      const inner = parseOr();
+      if (peek() !== ")") fail(`Expected ")", found ${describe(expr[pos])}`);
+      pos++;
+      return inner;
+    }
+    const key = readName("attribute name");
+    if (peek() !== "=") return { op: "attr", key, value: null };
+    pos++;
+    return { op: "attr", key, value: readName("attribute value", VALUE_CHAR) };
+  };
+
+  const parseAnd = () => {
+    const args = [parseUnary()];
+    while (peek() === "&") {
+      pos++;
+      args.push(parseUnary());
+    }
+    return args.length === 1 ? args[0] : { op: "and", args };
+  };
+
+  const parseOr = () => {
+    const args = [parseAnd()];
+    while (peek() === "|") {
+      pos++;
+      args.push(parseAnd());
+    }
+    return args.length === 1 ? args[0] : { op: "or", args };
+  };
+
+  const node = parseOr();
+  if (peek() !== undefined) fail(`Unexpected ${describe(expr[pos])}`);
+  return node;
+};
+
+const unwrapNot = (node) => (node.op === "not" && node.arg.op === "not" ? unwrapNot(node.arg.arg) : node);
+
+// Operands of nested same-operator nodes: (a&b)&c → a, b, c
+const operands = (node) =>
+  node.args.map(unwrapNot).flatMap((arg) => (arg.op === node.op ? operands(arg) : [arg]));
+
+/**
+ * Canonical text of a parsed filter: nested and/or flattened, operands deduplicated and
+ * sorted, double negation removed, so "CN & !ads" and "(!ads)&cn" both give "!ads&cn"
+ * @param {FilterNode} node
+ * @returns {string}
+ */
+export const formatFilter = (node) => {
+  node = unwrapNot(node);
+  switch (node.op) {
+    case "attr":
+      return node.value === null ? node.key : `${node.key}=${node.value}`;
+    case "not":
+      return node.arg.op === "attr" ? `!${formatFilter(node.arg)}` : `!(${formatFilter(node.arg)})`;
+    case "and":
+    case "or": {
+      const parts = new Set(
+        operands(node).map((arg) => (node.op === "and" && arg.op === "or" ? `(${formatFilter(arg)})` : formatFilter(arg)))
+      );
+      return Array.from(parts).sort().join(node.op === "and" ? "&" : "|");
+    }
+  }
+};
+
+/**
+ * Throws FilterSyntaxError on malformed input
+ * @param {string} expr
+ * @returns {string}
+ */
+export const canonicalFilter = (expr) => formatFilter(parseFilter(expr));
+
+/**
+ * @param {FilterNode} node
+ * @param {Set<string>} attrs lowercase attribute strings of one rule
+ * @returns {boolean}
+ */
+const evaluate = (node, attrs) => {
+  switch (node.op) {
+    case "or":
+      return node.args.some((n) => evaluate(n, attrs));
+    case "and":
+      return node.args.every((n) => evaluate(n, attrs));
+    case "not":
+      return !evaluate(node.arg, attrs);
+    case "attr":
+      if (node.value !== null) return attrs.has(`${node.key}=${node.value}`);
+      if (attrs.has(node.key)) return true;
+      for (const a of attrs) {
+        if (a.startsWith(`${node.key}=`)) return true;
+      }
+      return false;
+  }
+};
+
+/**
+ * Compile a filter expression into a rule predicate; empty/null matches everything.
+ * Throws FilterSyntaxError on malformed input.
+ * @param {string | null | undefined} expr
+ * @returns {(rule: { attrs?: string[]; origin?: string }) => boolean}
+ */
+export const compileFilter = (expr) => {
+  if (!expr || !expr.trim()) return () => true;
+  const ast = parseFilter(expr);
+  return (rule) => {
+    const attrs = new Set(Array.isArray(rule.attrs) ? rule.attrs.map((a) => String(a).toLowerCase()) : []);
+    if (rule.origin) for (const list of rule.origin.toLowerCase().split("/")) attrs.add(`origin=${list}`);
+    return evaluate(ast, attrs);
+  };
+};
+
+/**
+ * @template {{ attrs?: string[]; origin?: string }} T
+ * @param {T[]} rules
+ * @param {string | null | undefined} expr
+ * @returns {T[]}
+ */
+export const filterByAttrs = (rules, expr) => rules.filter(compileFilter(expr));
@@ -0,0 +1,372 @@
+// Output emitters for /geosite (shared by the Worker and build scripts). Each target
+// decides how rule types it cannot express natively degrade; anything it drops or
+// approximates is reported in a header comment so the list never changes meaning silently.
+
+import { formatOptimizeStats, optimizeRules } from "./optimize.mjs";
+import { acceptTranslation, translateRegex } from "./wildcard.mjs";
+
+// EmitOptions: policy (Quantumult X requires one per line), dns (upstream for dnsmasq),
+//   ip (address written to hosts files), regexp (acceptable regex → wildcard conversions)
+// EmitResult: line is the rule text, note is set when the rule was approximated;
+//   skip gives the reason the rule could not be expressed at all
+// Emitter: targets without `regexp` get regexp rules translated into plain rules and,
+//   when `wildcard` is set, host wildcards (see ./wildcard.mjs); `empty` is the body used
+//   when nothing was emitted, `cidr` emits IP lists (misc), `asn` IP-ASN rules (targets
+//   without it get an ASN's prefixes as CIDRs, see /asn), `verbatim` accepts Surge
+//   rule lines as-is (logical rules in misc lists) and `exactDomain` marks targets that
+//   write a domain rule as an exact match, so it covers no subdomain rules (hosts)
+// ExtraRules: extra inputs for mixed lists such as misc/, CIDRs, AS numbers and Surge-only
+//   verbatim lines
+
+/**
+ * @typedef {import("./wildcard.mjs").RegexpMode} RegexpMode
+ * @typedef {{ type: "domain" | "full" | "keyword" | "regexp"; value: string; attrs?: string[] }} Rule
+ * @typedef {{ type: "domain" | "full" | "keyword"; value: string }} PlainRule
+ * @typedef {{ policy: string; dns: string; ip: string; regexp: RegexpMode }} EmitOptions
+ * @typedef {{ line: string; note?: string } | { skip: string }} EmitResult
+ * @typedef {{
+ *   contentType: string;
+ *   comment: string;
+ *   prologue?: string[];
+ *   empty?: string;
+ *   emit: (rule: PlainRule, opts: EmitOptions) => EmitResult;
+ *   regexp?: (regex: string, opts: EmitOptions) => EmitResult;
+ *   wildcard?: (pattern: string, opts: EmitOptions) => EmitResult;
+ *   cidr?: (cidr: string, v6: boolean, opts: EmitOptions) => EmitResult;
+ *   asn?: (asn: number, opts: EmitOptions) => EmitResult;
+ *   verbatim?: boolean;
+ *   exactDomain?: boolean;
+ * }} Emitter
+ * @typedef {{ cidrs?: string[]; asns?: number[]; raw?: string[] }} ExtraRules
+ */
+
+// YAML single-quoted scalar: only the quote itself needs escaping
+const yamlQuote = (s) => `'${s.replace(/'/g, "''")}'`;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+
+/** @returns {EmitResult} */
+const surgeLike = (r) => {
+  switch (r.type) {
+    case "domain":
+      return { line: `DOMAIN-SUFFIX,${r.value}` };
+    case "full":
+      return { line: `DOMAIN,${r.value}` };
+    case "keyword":
+      return { line: `DOMAIN-KEYWORD,${r.value}` };
+  }
+};
+
+const surgeWildcard = (pattern) => ({ line: `DOMAIN-WILDCARD,${pattern}` });
+
+const surgeCidr = (cidr, v6) => ({
+  line: `${v6 ? "IP-CIDR6" : "IP-CIDR"},${cidr},no-resolve`,
+});
+
+const surgeAsn = (asn) => ({ line: `IP-ASN,${asn},no-resolve` });
+
+/** @type {Record<string, Emitter>} */
+const EMITTERS = {
+  surge: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    emit: surgeLike,
+    wildcard: surgeWildcard,
+    cidr: surgeCidr,
+    asn: surgeAsn,
+    verbatim: true,
+  },
+  shadowrocket: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    emit: surgeLike,
+    wildcard: surgeWildcard,
+    cidr: surgeCidr,
+    asn: surgeAsn,
+  },
+  loon: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    emit: surgeLike,
+    cidr: surgeCidr,
+    asn: surgeAsn,
+  },
+  // mihomo rule-provider, behavior: classical
+  clash: {
+    contentType: "text/yaml; charset=utf-8",
+    comment: "#",
+    prologue: ["payload:"],
+    empty: "  []",
+    emit: (r) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `  - ${yamlQuote(`DOMAIN-SUFFIX,${r.value}`)}` };
+        case "full":
+          return { line: `  - ${yamlQuote(`DOMAIN,${r.value}`)}` };
+        case "keyword":
+          return { line: `  - ${yamlQuote(`DOMAIN-KEYWORD,${r.value}`)}` };
+      }
+    },
+    regexp: (regex) => ({ line: `  - ${yamlQuote(`DOMAIN-REGEX,${regex}`)}` }),
+    cidr: (cidr, v6) => ({ line: `  - ${yamlQuote(`${v6 ? "IP-CIDR6" : "IP-CIDR"},${cidr},no-resolve`)}` }),
+  },
+  // mihomo rule-provider, behavior: domain
+  "clash-domain": {
+    contentType: "text/yaml; charset=utf-8",
+    comment: "#",
+    prologue: ["payload:"],
+    empty: "  []",
+    emit: (r) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `  - ${yamlQuote(`+.${r.value}`)}` };
+        case "full":
+          return { line: `  - ${yamlQuote(r.value)}` };
+        case "keyword":
+          return { skip: "domain behavior has no keyword match" };
+      }
+    },
+  },
+  quanx: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    emit: (r, { policy }) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `HOST-SUFFIX,${r.value},${policy}` };
+        case "full":
+          return { line: `HOST,${r.value},${policy}` };
+        case "keyword":
+          return { line: `HOST-KEYWORD,${r.value},${policy}` };
+      }
+    },
+    wildcard: (pattern, { policy }) => ({ line: `HOST-WILDCARD,${pattern},${policy}` }),
+    cidr: (cidr, v6, { policy }) => ({ line: `${v6 ? "IP6-CIDR" : "IP-CIDR"},${cidr},${policy}` }),
+  },
+  // AdGuard Home DNS filtering syntax
+  adguard: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "!",
+    emit: (r) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `||${r.value}^` };
+        case "full":
+          return { line: `|${r.value}^` };
+        case "keyword":
+          return { line: `/${escapeRegex(r.value)}/` };
+      }
+    },
+    regexp: (regex) => (regex.includes("/") ? { skip: "regex contains '/'" } : { line: `/${regex}/` }),
+  },
+  dnsmasq: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    emit: (r, { dns }) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `server=/${r.value}/${dns}` };
+        case "full":
+          // dnsmasq always matches subdomains too
+          return { line: `server=/${r.value}/${dns}`, note: "also matches subdomains" };
+        case "keyword":
+          return { skip: "no keyword match" };
+      }
+    },
+  },
+  hosts: {
+    contentType: "text/plain; charset=utf-8",
+    comment: "#",
+    exactDomain: true,
+    emit: (r, { ip }) => {
+      switch (r.type) {
+        case "domain":
+          return { line: `${ip} ${r.value}`, note: "subdomains not covered" };
+        case "full":
+          return { line: `${ip} ${r.value}` };
+        case "keyword":
+          return { skip: "no keyword match" };
+      }
+    },
+  },
+};
+
+export const FORMATS = Object.keys(EMITTERS);
+
+// File suffixes accepted in place of ?format=
+/** @type {Record<string, string>} */
+const SUFFIX_FORMATS = {
+  ".yaml": "clash",
+  ".yml": "clash",
+  ".list": "surge",
+};
+
+/**
+ * @param {string} format
+ * @returns {Emitter | null}
+ */
+export const getEmitter = (format) => EMITTERS[format.toLowerCase()] || null;
+
+// Whether the emitter keeps rules of this type (used to decide safe optimizations)
+/**
+ * @param {Emitter} emitter
+ * @param {PlainRule["type"]} type
+ * @param {EmitOptions} opts
+ * @returns {boolean}
+ */
+export const supportsType = (emitter, type, opts) =>
+  !("skip" in emitter.emit({ type, value: "example.com" }, opts));
+
+// Strip a known suffix from the route param, returning the implied format
+/**
+ * @param {string} raw
+ * @returns {[string, string | null]}
+ */
+export const splitFormatSuffix = (raw) => {
+  const lower = raw.toLowerCase();
+  for (const [suffix, format] of Object.entries(SUFFIX_FORMATS)) {
+    if (lower.endsWith(suffix)) return [raw.slice(0, -suffix.length), format];
+  }
+  return [raw, null];
+};
+
+// Regexp rules for targets without native regex: translate, then emit every
+// resulting rule or skip the whole regexp so nothing is partially applied
+const emitTranslated = (regex, emitter, opts) => {
+  const t = translateRegex(regex);
+  if (t.exactness === "unsupported") return { skip: t.reason };
+  if (!acceptTranslation(t.exactness, opts.regexp)) return { skip: `${t.exactness} conversion (regexp=${opts.regexp})` };
+  const lines = [];
+  const notes = t.exactness === "exact" ? [] : [t.exactness];
+  for (const wr of t.rules) {
+    const res =
+      wr.type === "wildcard"
+        ? emitter.wildcard?.(wr.value, opts) || { skip: "no wildcard rule type" }
+        : emitter.emit({ type: wr.type, value: wr.value }, opts);
+    if ("skip" in res) return res;
+    lines.push(res.line);
+    if (res.note && !notes.includes(res.note)) notes.push(res.note);
+  }
+  return notes.length === 0 ? { lines } : { lines, note: notes.join(", ") };
+};
+
+const emitRule = (r, emitter, opts) => {
+  if (r.type !== "regexp") {
+    const res = emitter.emit({ type: r.type, value: r.value }, opts);
+    return "skip" in res ? res : { lines: [res.line], note: res.note };
+  }
+  if (opts.regexp === "skip") return { skip: "regexp=skip" };
+  if (!emitter.regexp) return emitTranslated(r.value, emitter, opts);
+  const res = emitter.regexp(r.value, opts);
+  return "skip" in res ? res : { lines: [res.line], note: res.note };
+};
+
+/**
+ * @param {Rule[]} rules
+ * @param {Emitter} emitter
+ * @param {EmitOptions} opts
+ * @param {string[]} [notes] extra header lines (without comment prefix), e.g. optimizer stats
+ * @param {ExtraRules} [extra]
+ * @returns {string}
+ */
+export const renderRules = (rules, emitter, opts, notes = [], extra = {}) => {
+  const body = [];
+  const skipped = [];
+  const approximated = [];
+  for (const r of rules) {
+    const res = emitRule(r, emitter, opts);
+    if ("skip" in res) {
+      skipped.push(`${r.type}:${r.value} (${res.skip})`);
+      continue;
+    }
+    body.push(...res.lines);
+    if (res.note) approximated.push(`${r.type}:${r.value} (${res.note})`);
+  }
+  for (const cidr of extra.cidrs || []) {
+    const res = emitter.cidr?.(cidr, cidr.includes(":"), opts) || { skip: "no IP rule type" };
+    if ("skip" in res) skipped.push(`cidr:${cidr} (${res.skip})`);
+    else body.push(res.line);
+  }
+  for (const asn of extra.asns || []) {
+    const res = emitter.asn?.(asn, opts) || { skip: "no ASN rule type" };
+    if ("skip" in res) skipped.push(`asn:${asn} (${res.skip})`);
+    else body.push(res.line);
+  }
+  for (const line of extra.raw || []) {
+    if (emitter.verbatim) body.push(line);
+    else skipped.push(`${line} (Surge-only rule)`);
+  }
+
+  const header = [];
+  const c = emitter.comment;
+  for (const n of notes) header.push(`${c} ${n}`);
+  if (skipped.length > 0) {
+    header.push(`${c} Skipped ${skipped.length} rule(s) not supported by this format:`);
+    for (const s of skipped) header.push(`${c}   ${s}`);
+  }
+  if (approximated.length > 0) {
+    header.push(`${c} Approximated ${approximated.length} rule(s):`);
+    for (const s of approximated) header.push(`${c}   ${s}`);
+  }
+  if (body.length === 0 && emitter.empty) body.push(emitter.empty);
+  return [...header, ...(emitter.prologue || []), ...body].join("\n");
+};
+
+/**
+ * Optimize (unless disabled) and render an already-filtered rule list; the optimizer
+ * summary becomes the first header line. Used by /geosite and scripts/build-surge.mjs
+ * so prebuilt and live lists are identical.
+ * @param {Rule[]} rules
+ * @param {Emitter} emitter
+ * @param {EmitOptions} opts
+ * @param {{ optimize?: boolean }} [options]
+ * @param {ExtraRules} [extra]
+ * @returns {string}
+ */
+export const buildRuleList = (rules, emitter, opts, { optimize = true } = {}, extra = {}) => {
+  const notes = [];
+  if (optimize) {
+    // Keyword coverage is only safe when the target keeps keyword rules, suffix coverage
+    // when its domain rules match subdomains
+    const optimized = optimizeRules(rules, {
+      keywordCoverage: supportsType(emitter, "keyword", opts),
+      suffixCoverage: !emitter.exactDomain,
+    });
+    rules = optimized.rules;
+    const summary = formatOptimizeStats(optimized.stats);
+    if (summary) notes.push(summary);
+  }
+  return renderRules(rules, emitter, opts, notes, extra);
+};
+
+/**
+ * Surge DOMAIN-SET for an already-filtered rule list: ".example.com" matches the domain
+ * and every subdomain, "example.com" only itself. Keyword and regexp rules have no
+ * DOMAIN-SET form and go to a companion Surge RULE-SET instead, so the two lists together
+ * match what /geosite serves. Keyword coverage is not applied, so the domain set still
+ * stands on its own.
+ * @param {Rule[]} rules
+ * @param {EmitOptions} opts used for the companion rules (regexp translation)
+ * @param {{ optimize?: boolean }} [options]
+ * @returns {{ domainSet: string; ruleSet: string }}
+ */
+export const buildDomainSet = (rules, opts, { optimize = true } = {}) => {
+  const notes = [];
+  if (optimize) {
+    const optimized = optimizeRules(rules, { keywordCoverage: false });
+    rules = optimized.rules;
+    const summary = formatOptimizeStats(optimized.stats);
+    if (summary) notes.push(summary);
+  }
+  const domains = [];
+  const rest = [];
+  for (const r of rules) {
+    if (r.type === "domain") domains.push(`.${r.value}`);
+    else if (r.type === "full") domains.push(r.value);
+    else rest.push(r);
+  }
+  if (rest.length > 0) notes.push(`${rest.length} keyword/regexp rule(s) are in the companion RULE-SET`);
+  const domainSet = [...notes.map((n) => `# ${n}`), ...domains].join("\n");
+  const ruleSet = renderRules(rest, EMITTERS.surge, opts, rest.length === 0 ? ["No keyword or regexp rules"] : []);
+  return { domainSet, ruleSet };
+};
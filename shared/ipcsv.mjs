@@ -0,0 +1,166 @@
+// Country/ASN CSV exports as geoip input (build scripts)
+// Rows are a network or an address range plus a country code and/or an AS number:
+//   GeoLite2 blocks    network,geoname_id,registered_country_geoname_id,...   (header; country
+//                      codes come from the matching *-Locations-*.csv, see parseLocationsCsv)
+//   GeoLite2 ASN       network,autonomous_system_number,autonomous_system_organization
+//   DB-IP lite         1.0.0.0,1.0.0.255,AU   /   1.0.0.0,1.0.0.255,13335,Cloudflare (no header)
+//   generic            any header naming a network or start/end column and a country/asn column
+// Headerless files are recognized by their first row: network,value or start,end,value,
+// where a value of 2 letters is a country and digits (optionally "AS"-prefixed) an AS number.
+
+import { cidrToRange, parseIPv4, parseIPv6 } from "./cidr.mjs";
+
+/**
+ * @typedef {import("./cidr.mjs").IPRange} IPRange
+ * @typedef {{ range: IPRange; country: string | null; asn: number | null }} IpCsvRow
+ */
+
+const NETWORK_COLUMNS = ["network", "cidr", "prefix", "route"];
+const START_COLUMNS = ["start_ip", "ip_start", "range_start", "first_ip", "ip_from", "start"];
+const END_COLUMNS = ["end_ip", "ip_end", "range_end", "last_ip", "ip_to", "end"];
+const COUNTRY_COLUMNS = ["country_iso_code", "country_code", "country", "cc"];
+const ASN_COLUMNS = ["autonomous_system_number", "asn", "as_number", "as"];
+const GEONAME_COLUMNS = ["geoname_id", "registered_country_geoname_id"];
+
+const COUNTRY_RE = /^[a-z]{2}$/i;
+const ASN_RE = /^(?:as)?(\d+)$/i;
+
+// RFC 4180 fields: quoted fields may contain commas and doubled quotes
+const splitCsvLine = (line) => {
+  const out = [];
+  let i = 0;
+  while (i <= line.length) {
+    if (line[i] === '"') {
+      let value = "";
+      i++;
+      while (i < line.length) {
+        if (line[i] === '"' && line[i + 1] === '"') {
+          value += '"';
+          i += 2;
+        } else if (line[i] === '"') {
+          i++;
+          break;
+        } else {
+          value += line[i++];
+        }
+      }
+      out.push(value);
+      while (i < line.length && line[i] !== ",") i++;
+    } else {
+      const end = line.indexOf(",", i);
+      out.push(line.slice(i, end < 0 ? line.length : end).trim());
+      i = end < 0 ? line.length : end;
+    }
+    i++;
+  }
+  return out;
+};
+
+const csvRows = (text) =>
+  text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.startsWith("#"))
+    .map(splitCsvLine);
+
+const parseAddress = (s) => (s.includes(":") ? parseIPv6(s) : parseIPv4(s));
+const isNetwork = (s) => s !== undefined && cidrToRange(s) !== null;
+
+const toRange = (start, end) => {
+  const v4 = !start.includes(":");
+  const from = parseAddress(start);
+  const to = parseAddress(end);
+  if (from === null || to === null || end.includes(":") === v4 || from > to) return null;
+  return { v4, from, to };
+};
+
+const toAsn = (s) => {
+  const m = ASN_RE.exec(s || "");
+  return m ? Number(m[1]) : null;
+};
+const toCountry = (s) => (COUNTRY_RE.test(s || "") ? s.toUpperCase() : null);
+
+const findColumn = (header, names) => {
+  for (const name of names) {
+    const i = header.indexOf(name);
+    if (i >= 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * GeoLite2 *-Locations-*.csv → geoname_id → country code (continent code for the
+ * continent-level ids that some blocks use, e.g. EU)
+ * @param {string} text
+ * @returns {Map<string, string>}
+ */
+export const parseLocationsCsv = (text) => {
+  const [header, ...rows] = csvRows(text);
+  const id = header ? header.indexOf("geoname_id") : -1;
+  const country = header ? header.indexOf("country_iso_code") : -1;
+  const continent = header ? header.indexOf("continent_code") : -1;
+  if (id < 0 || country < 0) throw new Error("locations CSV: expected geoname_id and country_iso_code columns");
+  const out = new Map();
+  for (const row of rows) {
+    const code = row[country] || (continent >= 0 ? row[continent] : "");
+    if (row[id] && code) out.set(row[id], code.toUpperCase());
+  }
+  return out;
+};
+
+/**
+ * @param {string} text
+ * @param {Map<string, string> | null} [locations] geoname_id → country code (GeoLite2 blocks)
+ * @returns {{ rows: IpCsvRow[]; skipped: number }} skipped: unparsable rows
+ */
+export const parseIpCsv = (text, locations = null) => {
+  const all = csvRows(text);
+  if (all.length === 0) return { rows: [], skipped: 0 };
+  const first = all[0];
+  const headerless = isNetwork(first[0]) || (parseAddress(first[0]) !== null && parseAddress(first[1] || "") !== null);
+
+  let range;
+  let country;
+  let asn;
+  if (headerless) {
+    const ranged = !first[0].includes("/") && parseAddress(first[1] || "") !== null;
+    const valueAt = ranged ? 2 : 1;
+    range = ranged ? (row) => toRange(row[0], row[1] || "") : (row) => cidrToRange(row[0]);
+    country = (row) => toCountry(row[valueAt]);
+    asn = (row) => (toCountry(row[valueAt]) ? null : toAsn(row[valueAt]));
+  } else {
+    const header = first.map((h) => h.toLowerCase());
+    const net = findColumn(header, NETWORK_COLUMNS);
+    const start = findColumn(header, START_COLUMNS);
+    const end = findColumn(header, END_COLUMNS);
+    if (net < 0 && (start < 0 || end < 0)) {
+      throw new Error(`CSV: no network or start/end column in header (${first.join(",")})`);
+    }
+    range = net >= 0 ? (row) => cidrToRange(row[net] || "") : (row) => toRange(row[start] || "", row[end] || "");
+    const cc = findColumn(header, COUNTRY_COLUMNS);
+    const geoname = GEONAME_COLUMNS.map((c) => header.indexOf(c)).filter((i) => i >= 0);
+    if (cc < 0 && geoname.length > 0 && !locations) {
+      throw new Error("CSV: geoname_id columns need a locations file (GeoLite2 *-Locations-*.csv)");
+    }
+    country = (row) => {
+      if (cc >= 0) return toCountry(row[cc]);
+      // Networks without a country (satellite, anycast) fall back to the registered country
+      for (const i of geoname) if (row[i] && locations?.has(row[i])) return locations.get(row[i]);
+      return null;
+    };
+    const as = findColumn(header, ASN_COLUMNS);
+    asn = (row) => (as >= 0 ? toAsn(row[as]) : null);
+    all.shift();
+  }
+
+  const rows = [];
+  let skipped = 0;
+  for (const row of all) {
+    const r = range(row);
+    if (!r) {
+      skipped++;
+      continue;
+    }
+    rows.push({ range: r, country: country(row), asn: asn(row) });
+  }
+  return { rows, skipped };
+};
@@ -0,0 +1,207 @@
+// Reverse index behind /lookup/domain/:host and /lookup/ip/:addr
+// Domains: suffix/full rules live in a reversed-label trie, split into DOMAIN_SHARDS
+//   shards keyed by the rule's last two labels ("example.com"; single-label rules by
+//   the label itself), so a lookup fetches at most two shards.
+//   Node: { "<label>": Node, "$": [[category, "domain" | "full", attrs?], ...] }
+//   keyword/regexp rules are few and kept in one flat patterns list, compiled once per
+//   loaded list (compileDomainPatterns) rather than per lookup.
+// IPs: disjoint sorted intervals per family, each carrying every [group, cidr] that
+//   covers it, chunked into shards with a small top-level table of shard starts.
+
+import { formatIPv4, formatIPv6, parseIPv4, parseIPv6, cidrToRange } from "./cidr.mjs";
+
+export const DOMAIN_SHARDS = 256;
+export const IP_SHARD_SIZE = 2048;
+
+/**
+ * @typedef {[string, "domain" | "full", string[]?]} TrieEntry
+ * @typedef {{ category: string; type: string; value: string; attrs: string[] }} DomainMatch
+ * @typedef {[string, string, [string, string][]]} IPSegment [from, to, [[group, cidr], ...]]
+ * @typedef {{ category: string; type: string; value: string; attrs?: string[] }} DomainPattern
+ * @typedef {DomainPattern & { regex?: RegExp | null }} CompiledPattern
+ */
+
+// FNV-1a, 32-bit
+const fnv1a = (s) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
+
+const shardKey = (labels) => labels.slice(-2).join(".");
+
+/** @param {string} value rule value or host */
+export const domainShardOf = (value) => fnv1a(shardKey(value.split("."))) % DOMAIN_SHARDS;
+
+/**
+ * Shards that can hold rules matching host: its last label and its last two labels
+ * @param {string} host
+ * @returns {number[]}
+ */
+export const domainShardsForHost = (host) => {
+  const labels = host.split(".");
+  const shards = new Set([fnv1a(labels[labels.length - 1]) % DOMAIN_SHARDS]);
+  if (labels.length >= 2) shards.add(fnv1a(shardKey(labels)) % DOMAIN_SHARDS);
+  return Array.from(shards);
+};
+
+// Labels such as "constructor" or "__proto__" must not resolve through Object.prototype
+const child = (node, label) => (Object.hasOwn(node, label) ? node[label] : undefined);
+
+/**
+ * @param {object} trie root created with Object.create(null)
+ * @param {string} value
+ * @param {TrieEntry} entry
+ */
+export const insertDomainRule = (trie, value, entry) => {
+  let node = trie;
+  for (const label of value.split(".").reverse()) {
+    // Null-prototype nodes: assigning "__proto__" creates an own key
+    node = child(node, label) ?? (node[label] = Object.create(null));
+  }
+  (node.$ ??= []).push(entry);
+};
+
+/**
+ * @param {object} trie
+ * @param {string} host
+ * @returns {DomainMatch[]}
+ */
+export const matchDomainTrie = (trie, host) => {
+  const labels = host.split(".").reverse();
+  const out = [];
+  let node = trie;
+  for (let depth = 0; depth < labels.length; depth++) {
+    node = child(node, labels[depth]);
+    if (!node) break;
+    if (!Object.hasOwn(node, "$")) continue;
+    const exact = depth === labels.length - 1;
+    const value = labels.slice(0, depth + 1).reverse().join(".");
+    for (const [category, type, attrs] of node.$) {
+      if (type === "full" && !exact) continue;
+      out.push({ category, type, value, attrs: attrs || [] });
+    }
+  }
+  return out;
+};
+
+/**
+ * @param {DomainPattern[]} patterns
+ * @returns {CompiledPattern[]}
+ */
+export const compileDomainPatterns = (patterns) =>
+  patterns.map((p) => {
+    if (p.type !== "regexp") return p;
+    try {
+      return { ...p, regex: new RegExp(p.value) };
+    } catch (_) {
+      return { ...p, regex: null }; // RE2-only syntax; cannot evaluate here
+    }
+  });
+
+/**
+ * @param {CompiledPattern[]} patterns from compileDomainPatterns
+ * @param {string} host
+ * @returns {DomainMatch[]}
+ */
+export const matchDomainPatterns = (patterns, host) => {
+  const out = [];
+  for (const p of patterns) {
+    const hit = p.type === "keyword" ? host.includes(p.value) : p.type === "regexp" && !!p.regex?.test(host);
+    if (hit) out.push({ category: p.category, type: p.type, value: p.value, attrs: p.attrs || [] });
+  }
+  return out;
+};
+
+// ---------- IP intervals ----------
+
+/**
+ * Sweep tagged CIDRs into disjoint intervals (per family, sorted by start)
+ * @param {{ tag: [string, string]; cidr: string }[]} items
+ * @returns {{ v4: IPSegment[]; v6: IPSegment[] }}
+ */
+export const buildIntervals = (items) => {
+  const events = { v4: [], v6: [] };
+  for (const { tag, cidr } of items) {
+    const r = cidrToRange(cidr);
+    if (!r) continue;
+    const list = r.v4 ? events.v4 : events.v6;
+    list.push({ at: r.from, add: tag }, { at: r.to + 1n, remove: tag });
+  }
+  const sweep = (list, format) => {
+    list.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+    const active = new Map();
+    const out = [];
+    for (let i = 0; i < list.length; ) {
+      const at = list[i].at;
+      for (; i < list.length && list[i].at === at; i++) {
+        const e = list[i];
+        const key = (e.add || e.remove).join("\0");
+        if (e.add) active.set(key, [...(active.get(key) || []), e.add]);
+        else {
+          const rest = (active.get(key) || []).slice(1);
+          if (rest.length) active.set(key, rest);
+          else active.delete(key);
+        }
+      }
+      if (i >= list.length || active.size === 0) continue;
+      const tags = Array.from(active.values(), (v) => v[0]).sort((a, b) =>
+        a[0].localeCompare(b[0], "en", { sensitivity: "base" })
+      );
+      out.push([format(at), format(list[i].at - 1n), tags]);
+    }
+    return out;
+  };
+  return { v4: sweep(events.v4, formatIPv4), v6: sweep(events.v6, formatIPv6) };
+};
+
+/**
+ * @param {string} addr
+ * @returns {{ v4: boolean; value: bigint } | null}
+ */
+export const parseAddress = (addr) => {
+  const v4 = parseIPv4(addr);
+  if (v4 !== null) return { v4: true, value: v4 };
+  const v6 = addr.includes(":") ? parseIPv6(addr) : null;
+  return v6 === null ? null : { v4: false, value: v6 };
+};
+
+const toValue = (s) => (s.includes(":") ? parseIPv6(s) : parseIPv4(s));
+
+/**
+ * Index of the last element whose start is <= value, or -1
+ * @param {string[]} starts
+ * @param {bigint} value
+ */
+export const findStart = (starts, value) => {
+  let lo = 0;
+  let hi = starts.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (toValue(starts[mid]) <= value) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+/**
+ * @param {IPSegment[]} segments
+ * @param {bigint} value
+ * @returns {IPSegment | null}
+ */
+export const findSegment = (segments, value) => {
+  const i = findStart(
+    segments.map((s) => s[0]),
+    value
+  );
+  if (i < 0) return null;
+  return value <= toValue(segments[i][1]) ? segments[i] : null;
+};
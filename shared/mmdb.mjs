@@ -0,0 +1,196 @@
+// MaxMind DB (.mmdb) reader: GeoLite2, DB-IP lite and other files in the MaxMind DB format
+// (https://maxmind.github.io/MaxMind-DB/). Only what the geoip and ASN builds need: the metadata
+// and a walk over every network in the search tree with its decoded data record.
+// Layout: search tree (node_count nodes of two record_size-bit records) | 16 zero bytes |
+// data section | "\xAB\xCD\xEFMaxMind.com" | metadata map.
+// IPv6 databases keep IPv4 under ::/96 and alias it from ::ffff:0:0/96, 2001::/32 and
+// 2002::/16; the walk reports ::/96 as IPv4 networks and skips the aliases.
+
+/**
+ * @typedef {import("./cidr.mjs").IPRange} IPRange
+ * @typedef {{ node_count: number; record_size: number; ip_version: number; database_type?: string; build_epoch?: number; [key: string]: unknown }} MmdbMetadata
+ * @typedef {{ metadata: MmdbMetadata; nodeCount: number; record: (node: number, bit: number) => number; data: (record: number) => unknown }} Mmdb
+ */
+
+const METADATA_MARKER = Uint8Array.from([0xab, 0xcd, 0xef, ...new TextEncoder().encode("MaxMind.com")]);
+const utf8 = new TextDecoder();
+
+const lastIndexOf = (u8, needle) => {
+  outer: for (let i = u8.length - needle.length; i >= 0; i--) {
+    for (let j = 0; j < needle.length; j++) if (u8[i + j] !== needle[j]) continue outer;
+    return i;
+  }
+  return -1;
+};
+
+const uint = (u8, off, size) => {
+  let v = 0;
+  for (let i = 0; i < size; i++) v = v * 256 + u8[off + i];
+  return v;
+};
+
+const bigUint = (u8, off, size) => {
+  let v = 0n;
+  for (let i = 0; i < size; i++) v = (v << 8n) | BigInt(u8[off + i]);
+  return v;
+};
+
+// Data section decoder; pointers are relative to `base`
+const createDecoder = (u8, base) => {
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  /** @returns {[unknown, number]} value and the offset after it */
+  const decode = (off) => {
+    if (off >= u8.length) throw new Error("mmdb: data offset out of range");
+    const ctrl = u8[off++];
+    let type = ctrl >> 5;
+    if (type === 1) {
+      const ss = (ctrl >> 3) & 3;
+      const vvv = ctrl & 7;
+      let ptr;
+      if (ss === 0) ptr = vvv * 0x100 + u8[off];
+      else if (ss === 1) ptr = vvv * 0x10000 + uint(u8, off, 2) + 2048;
+      else if (ss === 2) ptr = vvv * 0x1000000 + uint(u8, off, 3) + 526336;
+      else ptr = uint(u8, off, 4);
+      return [decode(base + ptr)[0], off + ss + 1];
+    }
+    if (type === 0) type = 7 + u8[off++];
+    let size = ctrl & 0x1f;
+    if (size >= 29) {
+      const n = size - 28;
+      size = [29, 285, 65821][n - 1] + uint(u8, off, n);
+      off += n;
+    }
+    switch (type) {
+      case 2:
+        return [utf8.decode(u8.subarray(off, off + size)), off + size];
+      case 3:
+        return [view.getFloat64(off), off + 8];
+      case 4:
+        return [u8.slice(off, off + size), off + size];
+      case 5:
+      case 6:
+        return [uint(u8, off, size), off + size];
+      case 7: {
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = decode(off);
+          const [value, afterValue] = decode(afterKey);
+          map[String(key)] = value;
+          off = afterValue;
+        }
+        return [map, off];
+      }
+      case 8: {
+        const v = uint(u8, off, size);
+        return [size === 4 && v >= 0x80000000 ? v - 0x100000000 : v, off + size];
+      }
+      case 9:
+      case 10: {
+        const v = bigUint(u8, off, size);
+        return [v <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(v) : v, off + size];
+      }
+      case 11: {
+        const list = [];
+        for (let i = 0; i < size; i++) {
+          const [value, next] = decode(off);
+          list.push(value);
+          off = next;
+        }
+        return [list, off];
+      }
+      case 14:
+        return [size !== 0, off];
+      case 15:
+        return [view.getFloat32(off), off + 4];
+      default:
+        throw new Error(`mmdb: unsupported data type ${type}`);
+    }
+  };
+  return decode;
+};
+
+/**
+ * @param {Uint8Array} u8 whole .mmdb file
+ * @returns {Mmdb}
+ */
+export const openMmdb = (u8) => {
+  const marker = lastIndexOf(u8, METADATA_MARKER);
+  if (marker < 0) throw new Error("mmdb: metadata marker not found (not a MaxMind DB file?)");
+  const metaStart = marker + METADATA_MARKER.length;
+  const metadata = /** @type {MmdbMetadata} */ (createDecoder(u8, metaStart)(metaStart)[0]);
+  const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = metadata || {};
+  if (!Number.isInteger(nodeCount) || ![24, 28, 32].includes(recordSize) || ![4, 6].includes(ipVersion)) {
+    throw new Error("mmdb: invalid metadata (node_count, record_size, ip_version)");
+  }
+  const nodeBytes = recordSize / 4;
+  const treeSize = nodeCount * nodeBytes;
+  if (treeSize + 16 > marker) throw new Error("mmdb: search tree exceeds file size");
+
+  const record = (node, bit) => {
+    const b = node * nodeBytes;
+    if (recordSize === 24) return uint(u8, b + bit * 3, 3);
+    if (recordSize === 32) return uint(u8, b + bit * 4, 4);
+    return bit === 0
+      ? (u8[b + 3] >> 4) * 0x1000000 + uint(u8, b, 3)
+      : (u8[b + 3] & 0x0f) * 0x1000000 + uint(u8, b + 4, 3);
+  };
+
+  // Records repeat heavily (one per country), so each is decoded once
+  const decode = createDecoder(u8, treeSize + 16);
+  const cache = new Map();
+  const data = (value) => {
+    if (!cache.has(value)) cache.set(value, decode(treeSize + (value - nodeCount))[0]);
+    return cache.get(value);
+  };
+
+  return { metadata, nodeCount, record, data };
+};
+
+// GeoLite2/DB-IP records nest the code ({ country: { iso_code } }); flat databases use strings
+const isoCode = (v) => (typeof v === "string" ? v : v && typeof v === "object" ? v.iso_code : null) || null;
+
+/**
+ * Country code (falling back to the registered country) and AS number of a data record
+ * @param {any} record
+ * @returns {{ country: string | null; asn: number | null }}
+ */
+export const recordGeo = (record) => {
+  const m = /^(?:AS)?(\d+)$/i.exec(String(record?.autonomous_system_number ?? record?.asn ?? ""));
+  return {
+    country: isoCode(record?.country) || isoCode(record?.registered_country) || isoCode(record?.country_code),
+    asn: m ? Number(m[1]) : null,
+  };
+};
+
+/**
+ * Visit every network that has a data record, in address order (IPv4 first)
+ * @param {Mmdb} db
+ * @param {(range: IPRange, prefix: number, data: unknown) => void} visit
+ */
+export const walkMmdb = (db, visit) => {
+  const { nodeCount, record } = db;
+  const v6 = db.metadata.ip_version === 6;
+  // Node reached by ::/96; the IPv4-mapped/6to4/Teredo aliases point at it as well
+  let v4Root = 0;
+  if (v6) for (let i = 0; i < 96 && v4Root < nodeCount; i++) v4Root = record(v4Root, 0);
+
+  /** @type {[number, number, bigint, boolean][]} value, depth, address, IPv4 */
+  const stack = [[0, 0, 0n, !v6]];
+  while (stack.length > 0) {
+    let [value, depth, ip, v4] = stack.pop();
+    if (!v4 && depth === 96 && ip === 0n) {
+      [depth, v4] = [0, true];
+    } else if (!v4 && value === v4Root && v4Root < nodeCount) {
+      continue;
+    }
+    if (value === nodeCount) continue;
+    const bits = v4 ? 32 : 128;
+    if (value > nodeCount) {
+      visit({ v4, from: ip, to: ip | ((1n << BigInt(bits - depth)) - 1n) }, depth, db.data(value));
+      continue;
+    }
+    if (depth >= bits) throw new Error("mmdb: search tree deeper than the address size");
+    stack.push([record(value, 1), depth + 1, ip | (1n << BigInt(bits - depth - 1)), v4]);
+    stack.push([record(value, 0), depth + 1, ip, v4]);
+  }
+};
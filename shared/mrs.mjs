@@ -0,0 +1,118 @@
+// mihomo MRS rule-provider encoder (domain and ipcidr behaviors)
+// Layout (all integers big-endian), wrapped in a single zstd frame:
+//   "MRS" 0x01 | behavior byte (0 domain, 1 ipcidr) | int64 count | int64 extra length | extra
+//   domain: succinct DomainSet  (version 1, leaves, labelBitmap, labels)
+//   ipcidr: IpCidrSet           (version 1, merged ranges as 16-byte from/to pairs)
+// zstd comes from node:zlib when available (Node 22.15+); otherwise the frame
+// is written with raw (stored) blocks, which every zstd decoder accepts.
+
+import zlib from "node:zlib";
+import { ByteWriter } from "./bytes.mjs";
+import { cidrsToRanges } from "./cidr.mjs";
+import { buildSuccinctSet, compareBytes } from "./succinct.mjs";
+
+const MAGIC = [0x4d, 0x52, 0x53, 1]; // "MRS" v1
+export const BEHAVIOR_DOMAIN = 0;
+export const BEHAVIOR_IPCIDR = 1;
+
+// ---------- zstd ----------
+const ZSTD_MAX_BLOCK = 128 * 1024;
+
+const zstdStored = (data) => {
+  const w = new ByteWriter();
+  w.bytes(Uint8Array.of(0x28, 0xb5, 0x2f, 0xfd)); // magic (LE 0xFD2FB528)
+  w.u8(0xa0); // single segment, 4-byte frame content size, no checksum
+  const size = new Uint8Array(4);
+  new DataView(size.buffer).setUint32(0, data.length, true);
+  w.bytes(size);
+  let off = 0;
+  do {
+    const len = Math.min(ZSTD_MAX_BLOCK, data.length - off);
+    const last = off + len >= data.length ? 1 : 0;
+    const header = (len << 3) | last; // block type 0 = raw
+    w.bytes(Uint8Array.of(header & 0xff, (header >> 8) & 0xff, (header >> 16) & 0xff));
+    w.bytes(data.subarray(off, off + len));
+    off += len;
+  } while (off < data.length);
+  return w.toUint8Array();
+};
+
+const zstdCompress = (data) => {
+  if (typeof zlib.zstdCompressSync === "function") {
+    return new Uint8Array(zlib.zstdCompressSync(data));
+  }
+  return zstdStored(data);
+};
+
+// ---------- domain set ----------
+const utf8 = new TextEncoder();
+
+const reverse = (s) => Array.from(s).reverse().join("");
+
+// Entries follow mihomo's domain behavior: "example.com" (exact) or
+// "+.example.com" (domain and all subdomains, stored as both forms)
+const buildDomainSet = (entries) => {
+  const keys = new Set();
+  for (const e of entries) {
+    const d = e.toLowerCase();
+    if (d.startsWith("+.")) keys.add(reverse(d.slice(2)));
+    keys.add(reverse(d));
+  }
+  const sorted = Array.from(keys, (k) => utf8.encode(k)).sort(compareBytes);
+  return buildSuccinctSet(sorted);
+};
+
+// Go's netip As16(): IPv4 becomes ::ffff:a.b.c.d
+const IPV4_MAPPED = 0xffff00000000n;
+
+const u128 = (v) => {
+  const b = new Uint8Array(16);
+  const dv = new DataView(b.buffer);
+  dv.setBigUint64(0, v >> 64n);
+  dv.setBigUint64(8, v & 0xffffffffffffffffn);
+  return b;
+};
+
+// ---------- public API ----------
+const writeHeader = (w, behavior, count) => {
+  w.bytes(Uint8Array.from(MAGIC));
+  w.u8(behavior);
+  w.i64(count);
+  w.i64(0); // extra (reserved)
+};
+
+/**
+ * @param {string[]} entries mihomo domain payload ("example.com" / "+.example.com")
+ * @returns {Uint8Array}
+ */
+export const encodeDomainMrs = (entries) => {
+  const w = new ByteWriter();
+  writeHeader(w, BEHAVIOR_DOMAIN, entries.length);
+  const { leaves, labelBitmap, labels } = buildDomainSet(entries);
+  w.u8(1); // DomainSet version
+  w.i64(leaves.length);
+  for (const x of leaves) w.u64(x);
+  w.i64(labelBitmap.length);
+  for (const x of labelBitmap) w.u64(x);
+  w.i64(labels.length);
+  w.bytes(labels);
+  return zstdCompress(w.toUint8Array());
+};
+
+/**
+ * @param {string[]} cidrs IPv4/IPv6 CIDR strings
+ * @returns {Uint8Array}
+ */
+export const encodeIpCidrMrs = (cidrs) => {
+  const merged = cidrsToRanges(cidrs);
+  const w = new ByteWriter();
+  writeHeader(w, BEHAVIOR_IPCIDR, cidrs.length);
+  w.u8(1); // IpCidrSet version
+  w.i64(merged.length);
+  for (const r of merged) {
+    const base = r.v4 ? IPV4_MAPPED : 0n;
+    w.bytes(u128(base + r.from));
+    w.bytes(u128(base + r.to));
+  }
+  return zstdCompress(w.toUint8Array());
+};
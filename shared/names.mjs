@@ -0,0 +1,88 @@
+// Canonical category names (shared by the Worker and build scripts)
+// The build writes one map per kind next to its index: lowercased name or alias →
+// stored key (the R2 object name, e.g. "category-ads" → "CATEGORY-ADS"). Any casing
+// or alias then resolves with a single lookup instead of probing R2 per casing.
+// Aliases come from aliases.json (upstream renames, short names); a real category
+// always wins over an alias of the same name.
+
+/**
+ * @typedef {Record<string, string>} NameMap
+ */
+
+/**
+ * @param {string[]} names stored keys
+ * @param {Record<string, string>} [aliases] alias → target name (any casing)
+ * @returns {{ map: NameMap; skipped: string[] }} skipped: aliases whose target does not exist or that shadow a category
+ */
+export const buildNameMap = (names, aliases = {}) => {
+  /** @type {NameMap} */
+  const entries = {};
+  for (const name of names) entries[name.toLowerCase()] = name;
+  const skipped = [];
+  for (const [alias, target] of Object.entries(aliases)) {
+    const key = alias.toLowerCase();
+    const stored = entries[target.toLowerCase()];
+    if (!stored || (entries[key] && entries[key] !== stored)) {
+      skipped.push(alias);
+      continue;
+    }
+    entries[key] = stored;
+  }
+  /** @type {NameMap} */
+  const map = {};
+  for (const key of Object.keys(entries).sort()) map[key] = entries[key];
+  return { map, skipped };
+};
+
+/**
+ * @param {NameMap} map
+ * @param {string} name
+ * @returns {string | null} stored key
+ */
+export const resolveName = (map, name) => (Object.hasOwn(map, name.toLowerCase()) ? map[name.toLowerCase()] : null);
+
+// Edit distance with an early exit once every cell in a row exceeds max
+const distance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Near misses for a 404: small edit distance first, then names containing the query
+ * @param {NameMap} map
+ * @param {string} name
+ * @param {number} [limit]
+ * @returns {string[]} stored keys, best first
+ */
+export const suggestNames = (map, name, limit = 3) => {
+  const query = name.toLowerCase();
+  if (!query) return [];
+  const max = Math.max(1, Math.min(3, Math.floor(query.length / 3)));
+  /** @type {Map<string, number>} */
+  const scores = new Map();
+  for (const [key, stored] of Object.entries(map)) {
+    let score = distance(query, key, max);
+    // Substring hits rank after every typo match
+    if (score > max && query.length >= 3 && (key.includes(query) || query.includes(key))) {
+      score = max + 1 + Math.abs(key.length - query.length) / 100;
+    } else if (score > max) {
+      continue;
+    }
+    if (!scores.has(stored) || scores.get(stored) > score) scores.set(stored, score);
+  }
+  return Array.from(scores)
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0], "en", { sensitivity: "base" }))
+    .slice(0, limit)
+    .map(([stored]) => stored);
+};
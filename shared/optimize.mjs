@@ -0,0 +1,106 @@
+// Redundancy elimination for domain rule lists (shared by the Worker and build scripts)
+// - Removes exact duplicates (type + value, case-insensitive); attributes are merged
+// - Drops domain/full rules already covered by a broader domain suffix (reversed-label trie);
+//   disable with { suffixCoverage: false } when the output format writes domain rules as
+//   exact matches (hosts)
+// - Drops domain/full rules whose value contains a keyword rule (every match contains it too);
+//   disable with { keywordCoverage: false } when the output format cannot carry keywords
+// - Drops keywords that contain a shorter keyword
+// Regexp rules are kept as-is: their coverage cannot be compared cheaply.
+
+/**
+ * @typedef {{ type: "domain" | "full" | "keyword" | "regexp"; value: string; attrs?: string[] }} Rule
+ * @typedef {{ input: number; output: number; duplicates: number; coveredBySuffix: number; coveredByKeyword: number }} OptimizeStats
+ */
+
+const buildSuffixTrie = (suffixes) => {
+  const root = { children: new Map(), terminal: false };
+  for (const s of suffixes) {
+    let node = root;
+    for (const label of s.split(".").reverse()) {
+      let next = node.children.get(label);
+      if (!next) {
+        next = { children: new Map(), terminal: false };
+        node.children.set(label, next);
+      }
+      node = next;
+    }
+    node.terminal = true;
+  }
+  return root;
+};
+
+// strict: only ancestors count (a suffix never covers itself)
+const coveredByTrie = (root, value, strict) => {
+  const labels = value.split(".").reverse();
+  let node = root;
+  for (let i = 0; i < labels.length; i++) {
+    node = node.children.get(labels[i]);
+    if (!node) return false;
+    const last = i === labels.length - 1;
+    if (node.terminal && (!last || !strict)) return true;
+  }
+  return false;
+};
+
+/**
+ * @param {Rule[]} rules
+ * @param {{ keywordCoverage?: boolean; suffixCoverage?: boolean }} [options]
+ * @returns {{ rules: Rule[]; stats: OptimizeStats }}
+ */
+export const optimizeRules = (rules, { keywordCoverage = true, suffixCoverage = true } = {}) => {
+  /** @type {OptimizeStats} */
+  const stats = { input: rules.length, output: 0, duplicates: 0, coveredBySuffix: 0, coveredByKeyword: 0 };
+
+  const unique = new Map();
+  for (const r of rules) {
+    const value = r.type === "regexp" ? r.value : r.value.toLowerCase();
+    const key = `${r.type}:${value}`;
+    const prev = unique.get(key);
+    if (prev) {
+      stats.duplicates++;
+      if (r.attrs?.length) prev.attrs = Array.from(new Set([...(prev.attrs || []), ...r.attrs])).sort();
+      continue;
+    }
+    unique.set(key, { ...r, value });
+  }
+  const deduped = Array.from(unique.values());
+
+  const keywords = deduped.filter((r) => r.type === "keyword").map((r) => r.value);
+  const trie = buildSuffixTrie(deduped.filter((r) => r.type === "domain").map((r) => r.value));
+
+  const out = [];
+  for (const r of deduped) {
+    if (r.type === "keyword") {
+      if (keywords.some((k) => k !== r.value && r.value.includes(k))) {
+        stats.coveredByKeyword++;
+        continue;
+      }
+    } else if (r.type === "domain" || r.type === "full") {
+      if (suffixCoverage && coveredByTrie(trie, r.value, r.type === "domain")) {
+        stats.coveredBySuffix++;
+        continue;
+      }
+      if (keywordCoverage && keywords.some((k) => r.value.includes(k))) {
+        stats.coveredByKeyword++;
+        continue;
+      }
+    }
+    out.push(r);
+  }
+  stats.output = out.length;
+  return { rules: out, stats };
+};
+
+/**
+ * One-line summary for a comment header; null when nothing was removed
+ * @param {OptimizeStats} stats
+ */
+export const formatOptimizeStats = (stats) => {
+  const removed = stats.input - stats.output;
+  if (removed === 0) return null;
+  return (
+    `Optimized: removed ${removed} of ${stats.input} rule(s) ` +
+    `(${stats.duplicates} duplicate, ${stats.coveredBySuffix} covered by suffix, ${stats.coveredByKeyword} covered by keyword)`
+  );
+};
@@ -0,0 +1,125 @@
+// Upstream sources for the geosite and geoip builds (sources.json at the repository root)
+//   { "geosite": [SourceSpec, ...], "geoip": [SourceSpec, ...] }
+// Each source is a geosite.dat / geoip.dat given by url or path (relative to the repo root);
+// "format" selects another input type where the build supports one (default "dat").
+// Sources are listed in precedence order: the first source that has a category provides it.
+//   prefix      publish this source's categories as <PREFIX><NAME> instead (no competition)
+//   categories  take only these categories (case-insensitive)
+//   merge       "fallback" (default): only categories earlier sources lack;
+//               "union": also add rules/CIDRs to categories an earlier source provides
+//   optional    a failed download skips the source instead of failing the build
+//   enabled     false keeps an entry in the file without using it
+//   group       geoip mmdb/csv inputs: "country" (default, e.g. CN), "asn" (e.g. AS13335) or both
+//   locations   geoip csv inputs: GeoLite2 *-Locations-*.csv resolving geoname ids to countries
+// With SOURCES_DIR set, scripts/source-versions.mjs downloads every url source into that
+// directory once and the builds read it from there, so the version describes the bytes built.
+
+/**
+ * @typedef {"fallback" | "union"} MergeMode
+ * @typedef {{ id: string; format: string; url: string | null; path: string | null; prefix: string; categories: string[] | null; merge: MergeMode; optional: boolean; group: GroupBy[]; locations: string | null }} SourceSpec
+ * @typedef {"country" | "asn"} GroupBy
+ * @typedef {{ id: string; url: string; sha256: string }} SourceInfo
+ */
+
+const ID_RE = /^[a-z0-9_-]+$/;
+const MERGE_MODES = ["fallback", "union"];
+const GROUP_BY = ["country", "asn"];
+
+/**
+ * @param {unknown} config parsed sources.json
+ * @param {"geosite" | "geoip"} kind
+ * @param {string[]} formats input formats the build understands, e.g. ["dat"]
+ * @returns {SourceSpec[]} enabled sources in precedence order
+ */
+export const parseSourcesConfig = (config, kind, formats) => {
+  const list = config && typeof config === "object" ? /** @type {Record<string, unknown>} */ (config)[kind] : undefined;
+  if (!Array.isArray(list) || list.length === 0) throw new Error(`sources.json: "${kind}" must be a non-empty list`);
+  const seen = new Set();
+  /** @type {SourceSpec[]} */
+  const out = [];
+  list.forEach((raw, i) => {
+    const at = `sources.json: ${kind}[${i}]`;
+    if (!raw || typeof raw !== "object") throw new Error(`${at}: expected an object`);
+    if (typeof raw.id !== "string" || !ID_RE.test(raw.id)) throw new Error(`${at}: id must match ${ID_RE}`);
+    if (seen.has(raw.id)) throw new Error(`${at}: duplicate id "${raw.id}"`);
+    seen.add(raw.id);
+    if (raw.enabled === false) return;
+    const format = raw.format ?? "dat";
+    if (!formats.includes(format)) throw new Error(`${at}: unsupported format "${format}" (expected ${formats.join(", ")})`);
+    if ((typeof raw.url === "string") === (typeof raw.path === "string")) throw new Error(`${at}: set exactly one of url or path`);
+    const merge = raw.merge ?? "fallback";
+    if (!MERGE_MODES.includes(merge)) throw new Error(`${at}: merge must be one of ${MERGE_MODES.join(", ")}`);
+    if (raw.prefix !== undefined && (typeof raw.prefix !== "string" || !/^[a-z0-9!_-]*$/i.test(raw.prefix))) {
+      throw new Error(`${at}: invalid prefix`);
+    }
+    if (raw.categories !== undefined && !(Array.isArray(raw.categories) && raw.categories.every((c) => typeof c === "string"))) {
+      throw new Error(`${at}: categories must be a list of names`);
+    }
+    const group = raw.group === undefined ? ["country"] : [raw.group].flat();
+    if (group.length === 0 || !group.every((g) => GROUP_BY.includes(g))) {
+      throw new Error(`${at}: group must be ${GROUP_BY.join(" and/or ")}`);
+    }
+    if (raw.locations !== undefined && typeof raw.locations !== "string") throw new Error(`${at}: locations must be a path`);
+    out.push({
+      id: raw.id,
+      format,
+      url: raw.url ?? null,
+      path: raw.path ?? null,
+      prefix: (raw.prefix || "").toUpperCase(),
+      categories: raw.categories ? raw.categories.map((c) => c.toLowerCase()) : null,
+      merge,
+      optional: raw.optional === true,
+      group,
+      locations: raw.locations ?? null,
+    });
+  });
+  if (out.length === 0) throw new Error(`sources.json: no enabled ${kind} source`);
+  return out;
+};
+
+/**
+ * Combine per-source categories by precedence
+ * @template T
+ * @param {{ spec: SourceSpec; categories: { name: string; data: T }[] }[]} inputs in precedence order
+ * @param {(into: T, from: T, spec: SourceSpec) => void} union adds a later source's data to a category
+ * @returns {{ name: string; data: T; source: string; contributors: string[] }[]}
+ */
+export const mergeSources = (inputs, union) => {
+  /** @type {Map<string, { name: string; data: T; source: string; contributors: string[] }>} */
+  const merged = new Map();
+  for (const { spec, categories } of inputs) {
+    let shadowed = 0;
+    for (const { name, data } of categories) {
+      if (spec.categories && !spec.categories.includes(name.toLowerCase())) continue;
+      const outName = `${spec.prefix}${name}`;
+      const key = outName.toLowerCase();
+      const prev = merged.get(key);
+      if (!prev) {
+        merged.set(key, { name: outName, data, source: spec.id, contributors: [spec.id] });
+      } else if (spec.merge === "union") {
+        union(prev.data, data, spec);
+        if (!prev.contributors.includes(spec.id)) prev.contributors.push(spec.id);
+      } else {
+        shadowed++;
+      }
+    }
+    if (shadowed > 0) console.log(`Source ${spec.id}: ${shadowed} categories already provided by an earlier source`);
+  }
+  return Array.from(merged.values());
+};
+
+/**
+ * File name of a downloaded url source inside SOURCES_DIR
+ * @param {"geosite" | "geoip"} kind
+ * @param {SourceSpec} spec
+ */
+export const downloadedSourceName = (kind, spec) => `${kind}-${spec.id}`;
+
+/**
+ * Build version over all inputs: the single input's sha256 (as before multi-source builds),
+ * otherwise a sha256 over "id sha256" lines
+ * @param {SourceInfo[]} infos
+ * @param {(data: string) => string} sha256
+ */
+export const combinedVersion = (infos, sha256) =>
+  infos.length === 1 ? infos[0].sha256 : sha256(infos.map((s) => `${s.id} ${s.sha256}`).join("\n"));
@@ -0,0 +1,281 @@
+// sing-box SRS (binary rule-set) writer and reader, no sing-box binary required
+// Layout: "SRS" | version byte | zlib stream of:
+//   uvarint rule count, then per (default) rule:
+//   0x00 | items... | 0xFF | invert byte
+// Supported items (headless rule fields):
+//   2  domain + domain_suffix  succinct set (version 1 keeps the legacy suffix split)
+//   3  domain_keyword          string list
+//   4  domain_regex            string list
+//   6  ip_cidr                 merged IP ranges
+// The uncompressed stream follows sing-box's writer for these items. The compressed bytes
+// are not those of `sing-box rule-set compile`: Go's compress/flate and zlib emit different
+// deflate streams at every level, so files only match sing-box's after decompression
+// (test/srs.test.mjs compares against sing-box-compiled fixtures that way).
+
+import { ByteReader, ByteWriter } from "./bytes.mjs";
+import { cidrsToRanges, rangeToCidrs } from "./cidr.mjs";
+import { buildSuccinctSet, compareBytes, readSuccinctSet } from "./succinct.mjs";
+
+const MAGIC = [0x53, 0x52, 0x53]; // "SRS"
+export const SRS_VERSION_MAX = 3;
+
+const ITEM_DOMAIN = 2;
+const ITEM_DOMAIN_KEYWORD = 3;
+const ITEM_DOMAIN_REGEX = 4;
+const ITEM_IP_CIDR = 6;
+const ITEM_FINAL = 0xff;
+
+// Markers appended to reversed domain_suffix keys
+const PREFIX_LABEL = 0x0d; // "\r": suffix given with a leading dot (".example.com")
+const ROOT_LABEL = 0x0a; // "\n": suffix matching the domain itself and subdomains
+
+const SUPPORTED_FIELDS = new Set(["domain", "domain_suffix", "domain_keyword", "domain_regex", "ip_cidr", "invert"]);
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder();
+
+// Compression Streams "deflate" is zlib-wrapped, as sing-box expects
+const pipeThrough = async (data, stream) =>
+  new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(stream)).arrayBuffer());
+
+const defaultCompress = (data) => pipeThrough(data, new CompressionStream("deflate"));
+const defaultDecompress = (data) => pipeThrough(data, new DecompressionStream("deflate"));
+
+// ---------- domain matcher ----------
+const reversedKey = (domain, marker) => {
+  const reversed = utf8Encoder.encode(Array.from(domain).reverse().join(""));
+  if (marker === undefined) return reversed;
+  const out = new Uint8Array(reversed.length + 1);
+  out.set(reversed);
+  out[reversed.length] = marker;
+  return out;
+};
+
+const buildDomainKeys = (domains, suffixes, legacy) => {
+  const keys = [];
+  const seen = new Set();
+  for (const suffix of suffixes) {
+    if (seen.has(suffix)) continue;
+    seen.add(suffix);
+    if (suffix.startsWith(".")) {
+      keys.push(reversedKey(suffix, PREFIX_LABEL));
+    } else if (legacy) {
+      // Version 1 readers only know exact keys and dot-prefixed suffixes
+      keys.push(reversedKey(suffix));
+      const dotted = `.${suffix}`;
+      if (!seen.has(dotted)) {
+        seen.add(dotted);
+        keys.push(reversedKey(dotted, PREFIX_LABEL));
+      }
+    } else {
+      keys.push(reversedKey(suffix, ROOT_LABEL));
+    }
+  }
+  for (const domain of domains) {
+    if (seen.has(domain)) continue;
+    seen.add(domain);
+    keys.push(reversedKey(domain));
+  }
+  return keys.sort(compareBytes);
+};
+
+const writeDomainItem = (w, domains, suffixes, legacy) => {
+  const { leaves, labelBitmap, labels } = buildSuccinctSet(buildDomainKeys(domains, suffixes, legacy));
+  w.u8(ITEM_DOMAIN);
+  w.u8(1); // matcher version
+  w.uvarint(leaves.length);
+  for (const x of leaves) w.u64(x);
+  w.uvarint(labelBitmap.length);
+  for (const x of labelBitmap) w.u64(x);
+  w.uvarint(labels.length);
+  w.bytes(labels);
+};
+
+const readDomainItem = (r) => {
+  const version = r.u8();
+  if (version !== 1) throw new Error(`unsupported domain matcher version ${version}`);
+  const readWords = () => Array.from({ length: Number(r.uvarint()) }, () => r.u64());
+  const leaves = readWords();
+  const labelBitmap = readWords();
+  const labels = r.bytes(Number(r.uvarint()));
+  const domain = [];
+  const domain_suffix = [];
+  for (const key of readSuccinctSet({ leaves, labelBitmap, labels })) {
+    const last = key[key.length - 1];
+    const marked = last === PREFIX_LABEL || last === ROOT_LABEL;
+    const text = Array.from(utf8Decoder.decode(marked ? key.subarray(0, -1) : key)).reverse().join("");
+    if (marked) domain_suffix.push(text);
+    else domain.push(text);
+  }
+  return { domain, domain_suffix };
+};
+
+// ---------- strings ----------
+const writeStringItem = (w, type, values) => {
+  w.u8(type);
+  w.uvarint(values.length);
+  for (const v of values) {
+    const b = utf8Encoder.encode(v);
+    w.uvarint(b.length);
+    w.bytes(b);
+  }
+};
+
+const readStrings = (r) =>
+  Array.from({ length: Number(r.uvarint()) }, () => utf8Decoder.decode(r.bytes(Number(r.uvarint()))));
+
+// ---------- ip set ----------
+const addrBytes = (v, v4) => {
+  const len = v4 ? 4 : 16;
+  const out = new Uint8Array(len);
+  for (let i = len - 1; i >= 0; i--) {
+    out[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return out;
+};
+
+const bytesAddr = (b) => b.reduce((acc, x) => (acc << 8n) | BigInt(x), 0n);
+
+const writeIPItem = (w, cidrs) => {
+  const ranges = cidrsToRanges(cidrs);
+  w.u8(ITEM_IP_CIDR);
+  w.u8(1); // ip set version
+  w.u64(ranges.length);
+  for (const { v4, from, to } of ranges) {
+    const a = addrBytes(from, v4);
+    const b = addrBytes(to, v4);
+    w.uvarint(a.length);
+    w.bytes(a);
+    w.uvarint(b.length);
+    w.bytes(b);
+  }
+};
+
+const readIPItem = (r) => {
+  const version = r.u8();
+  if (version !== 1) throw new Error(`unsupported ip set version ${version}`);
+  const count = Number(r.u64());
+  const cidrs = [];
+  for (let i = 0; i < count; i++) {
+    const from = r.bytes(Number(r.uvarint()));
+    const to = r.bytes(Number(r.uvarint()));
+    cidrs.push(...rangeToCidrs({ v4: from.length === 4, from: bytesAddr(from), to: bytesAddr(to) }));
+  }
+  return cidrs;
+};
+
+// ---------- public API ----------
+/**
+ * @typedef {{ domain?: string[]; domain_suffix?: string[]; domain_keyword?: string[]; domain_regex?: string[]; ip_cidr?: string[]; invert?: boolean }} HeadlessRule
+ * @typedef {{ version: number; rules: HeadlessRule[] }} PlainRuleSet
+ */
+
+/**
+ * Geosite rules (full/domain/keyword/regexp) → one headless rule; empty fields are omitted
+ * @param {{ type: string; value: string }[]} rules
+ * @returns {HeadlessRule}
+ */
+export const rulesToHeadless = (rules) => {
+  const agg = { domain: [], domain_suffix: [], domain_keyword: [], domain_regex: [] };
+  for (const r of rules) {
+    switch (r.type) {
+      case "full":
+        agg.domain.push(r.value);
+        break;
+      case "domain":
+        agg.domain_suffix.push(r.value);
+        break;
+      case "keyword":
+        agg.domain_keyword.push(r.value);
+        break;
+      case "regexp":
+        agg.domain_regex.push(r.value);
+        break;
+    }
+  }
+  const headless = {};
+  for (const [k, v] of Object.entries(agg)) {
+    if (v.length > 0) headless[k] = v;
+  }
+  return headless;
+};
+
+/**
+ * @param {PlainRuleSet} ruleSet source rule-set as accepted by `sing-box rule-set compile`
+ * @param {{ compress?: (data: Uint8Array) => Promise<Uint8Array> | Uint8Array }} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export const encodeSRS = async (ruleSet, { compress = defaultCompress } = {}) => {
+  const version = Number(ruleSet.version);
+  if (!(version >= 1 && version <= SRS_VERSION_MAX)) throw new Error(`unsupported rule-set version ${ruleSet.version}`);
+
+  const w = new ByteWriter();
+  w.uvarint(ruleSet.rules.length);
+  for (const rule of ruleSet.rules) {
+    for (const key of Object.keys(rule)) {
+      if (!SUPPORTED_FIELDS.has(key)) throw new Error(`unsupported headless rule field "${key}"`);
+    }
+    w.u8(0); // default rule
+    if (rule.domain?.length || rule.domain_suffix?.length) {
+      writeDomainItem(w, rule.domain || [], rule.domain_suffix || [], version === 1);
+    }
+    if (rule.domain_keyword?.length) writeStringItem(w, ITEM_DOMAIN_KEYWORD, rule.domain_keyword);
+    if (rule.domain_regex?.length) writeStringItem(w, ITEM_DOMAIN_REGEX, rule.domain_regex);
+    if (rule.ip_cidr?.length) writeIPItem(w, rule.ip_cidr);
+    w.u8(ITEM_FINAL);
+    w.u8(rule.invert ? 1 : 0);
+  }
+
+  const body = await compress(w.toUint8Array());
+  const out = new Uint8Array(4 + body.length);
+  out.set(MAGIC);
+  out[3] = version;
+  out.set(body, 4);
+  return out;
+};
+
+/**
+ * Inverse of encodeSRS for the supported items; CIDRs come back merged
+ * @param {Uint8Array} bytes
+ * @param {{ decompress?: (data: Uint8Array) => Promise<Uint8Array> | Uint8Array }} [options]
+ * @returns {Promise<PlainRuleSet>}
+ */
+export const decodeSRS = async (bytes, { decompress = defaultDecompress } = {}) => {
+  if (bytes.length < 4 || MAGIC.some((b, i) => bytes[i] !== b)) throw new Error("not an SRS file");
+  const version = bytes[3];
+  if (version < 1 || version > SRS_VERSION_MAX) throw new Error(`unsupported rule-set version ${version}`);
+
+  const r = new ByteReader(await decompress(bytes.subarray(4)));
+  const count = Number(r.uvarint());
+  const rules = [];
+  for (let i = 0; i < count; i++) {
+    const type = r.u8();
+    if (type !== 0) throw new Error(`unsupported rule type ${type}`);
+    const rule = {};
+    for (let item = r.u8(); item !== ITEM_FINAL; item = r.u8()) {
+      switch (item) {
+        case ITEM_DOMAIN: {
+          const { domain, domain_suffix } = readDomainItem(r);
+          if (domain.length) rule.domain = domain;
+          if (domain_suffix.length) rule.domain_suffix = domain_suffix;
+          break;
+        }
+        case ITEM_DOMAIN_KEYWORD:
+          rule.domain_keyword = readStrings(r);
+          break;
+        case ITEM_DOMAIN_REGEX:
+          rule.domain_regex = readStrings(r);
+          break;
+        case ITEM_IP_CIDR:
+          rule.ip_cidr = readIPItem(r);
+          break;
+        default:
+          throw new Error(`unsupported rule item ${item}`);
+      }
+    }
+    if (r.u8()) rule.invert = true;
+    rules.push(rule);
+  }
+  return { version, rules };
+};
@@ -0,0 +1,83 @@
+// Succinct (LOUDS) byte trie used by sing-box SRS and mihomo MRS domain sets
+// - labels: one byte per edge, in breadth-first order
+// - labelBitmap: a 0 per edge and a 1 closing each node's edge list
+// - leaves: bit i set when trie node i terminates a key
+// Bitmaps are arrays of 64-bit words (BigInt), bit i lives in word i >> 6.
+
+const setBit = (bm, i, v) => {
+  while (i >> 6 >= bm.length) bm.push(0n);
+  if (v) bm[i >> 6] |= 1n << BigInt(i & 63);
+};
+
+const getBit = (bm, i) => (i >> 6 < bm.length ? Number((bm[i >> 6] >> BigInt(i & 63)) & 1n) : 0);
+
+export const compareBytes = (a, b) => {
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+};
+
+/**
+ * @param {Uint8Array[]} keys unique keys sorted with compareBytes
+ * @returns {{ leaves: bigint[]; labelBitmap: bigint[]; labels: Uint8Array }}
+ */
+export const buildSuccinctSet = (keys) => {
+  const leaves = [];
+  const labelBitmap = [];
+  const labels = [];
+  if (keys.length === 0) return { leaves, labelBitmap, labels: new Uint8Array(0) };
+
+  let lIdx = 0;
+  const queue = [{ s: 0, e: keys.length, col: 0 }];
+  for (let i = 0; i < queue.length; i++) {
+    const elt = queue[i];
+    if (elt.col === keys[elt.s].length) {
+      elt.s++;
+      setBit(leaves, i, 1);
+    }
+    for (let j = elt.s; j < elt.e; ) {
+      const frm = j;
+      const ch = keys[frm][elt.col];
+      while (j < elt.e && keys[j][elt.col] === ch) j++;
+      queue.push({ s: frm, e: j, col: elt.col + 1 });
+      labels.push(ch);
+      setBit(labelBitmap, lIdx, 0);
+      lIdx++;
+    }
+    setBit(labelBitmap, lIdx, 1);
+    lIdx++;
+  }
+  return { leaves, labelBitmap, labels: Uint8Array.from(labels) };
+};
+
+/**
+ * Enumerate all keys stored in a succinct set (inverse of buildSuccinctSet)
+ * @param {{ leaves: bigint[]; labelBitmap: bigint[]; labels: Uint8Array }} set
+ * @returns {Uint8Array[]}
+ */
+export const readSuccinctSet = ({ leaves, labelBitmap, labels }) => {
+  // Edge k leads to node k + 1 (node 0 is the root)
+  const parent = [-1];
+  const label = [0];
+  let node = 0;
+  let k = 0;
+  for (let bit = 0; k < labels.length; bit++) {
+    if (getBit(labelBitmap, bit) === 1) {
+      node++;
+      continue;
+    }
+    parent[k + 1] = node;
+    label[k + 1] = labels[k];
+    k++;
+  }
+  const keys = [];
+  for (let n = 0; n < parent.length; n++) {
+    if (!getBit(leaves, n)) continue;
+    const bytes = [];
+    for (let cur = n; cur > 0; cur = parent[cur]) bytes.push(label[cur]);
+    keys.push(Uint8Array.from(bytes.reverse()));
+  }
+  return keys;
+};
@@ -0,0 +1,194 @@
+// v2fly domain-list-community text format
+//   # comment                         (also allowed after an entry; a regexp: value may
+//                                      itself contain "#", so there it starts after the value)
+//   example.com                       bare value = domain (suffix)
+//   domain:example.com @cn @ads       attributes follow the value
+//   full:www.example.com
+//   keyword:example
+//   regexp:^ad\d+\.example\.com$
+//   include:other-list                all rules of another list
+//   include:other-list @cn @-ads      only rules with @cn and without @ads
+// Internationalized domains (bücher.example) are stored in ASCII form (xn--bcher-kva.example),
+// the form clients match against.
+// Produces the same { type, value, attrs } rules as build-geosite-json.mjs. Rules pulled in
+// through include: carry `origin`, the include path down to the list that defines them
+// ("google-ads", or "google-ads/doubleclick" when nested); a list's own rules have none.
+// The filter pseudo-attribute origin=<list> selects by it (shared/filter.mjs).
+
+const RULE_TYPES = new Set(["domain", "full", "keyword", "regexp"]);
+const DOMAIN_RE = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+const ASCII_RE = /^[\x00-\x7f]*$/;
+
+// node:url's domainToASCII through WHATWG URL host parsing, which applies the same UTS #46
+// mapping, so the Worker can share this module; "" when value is no valid host
+const domainToASCII = (value) => {
+  if (/[\s/\\?#@:%]/.test(value)) return "";
+  try {
+    return new URL(`http://${value}/`).hostname;
+  } catch (_) {
+    return "";
+  }
+};
+
+/**
+ * @typedef {{ type: "domain" | "full" | "keyword" | "regexp"; value: string; attrs: string[]; origin?: string }} ListRule
+ * @typedef {{ name: string; must: string[]; mustNot: string[] }} ListInclude
+ * @typedef {{ rules: ListRule[]; includes: ListInclude[] }} ParsedList
+ */
+
+/**
+ * Stored form of a rule value: regexps verbatim, anything else lowercased, and domains with
+ * Unicode labels converted to ASCII (invalid ones are returned as is for validateRule)
+ * @param {string} type
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeValue = (type, value) => {
+  if (type === "regexp") return value;
+  const lower = value.toLowerCase();
+  if ((type !== "domain" && type !== "full") || ASCII_RE.test(lower)) return lower;
+  return domainToASCII(lower) || lower;
+};
+
+/**
+ * @param {{ type?: unknown; value?: unknown; attrs?: unknown }} rule
+ * @returns {string | null} problem description, or null when valid
+ */
+export const validateRule = (rule) => {
+  if (!RULE_TYPES.has(/** @type {string} */ (rule.type))) return `unknown rule type "${rule.type}"`;
+  if (typeof rule.value !== "string" || rule.value.length === 0) return "empty value";
+  if (rule.attrs !== undefined && !(Array.isArray(rule.attrs) && rule.attrs.every((a) => typeof a === "string"))) {
+    return "attrs must be an array of strings";
+  }
+  if ((rule.type === "domain" || rule.type === "full") && !DOMAIN_RE.test(rule.value)) {
+    return `invalid domain "${rule.value}"`;
+  }
+  if (rule.type === "regexp") {
+    try {
+      new RegExp(rule.value);
+    } catch (_) {
+      return `invalid regexp "${rule.value}"`;
+    }
+  }
+  return null;
+};
+
+/**
+ * @param {string} text file contents
+ * @param {string} file name used in error messages
+ * @returns {ParsedList}
+ */
+export const parseV2flyList = (text, file) => {
+  const rules = [];
+  const includes = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const raw = lines[i].trim();
+    const head = /^regexp:/i.test(raw) ? raw.split(/\s/, 1)[0] : "";
+    const line = (head + raw.slice(head.length).replace(/#.*$/, "")).trim();
+    if (!line) continue;
+    const fail = (message) => {
+      throw new Error(`${file}:${i + 1}: ${message}`);
+    };
+
+    const [entry, ...tokens] = line.split(/\s+/);
+    const attrs = [];
+    for (const t of tokens) {
+      if (t.startsWith("@")) attrs.push(t.slice(1).toLowerCase());
+      else if (!t.startsWith("&")) fail(`unexpected "${t}"`); // "&affiliation" tokens are ignored
+    }
+    const sep = entry.indexOf(":");
+    const kind = sep < 0 ? "domain" : entry.slice(0, sep).toLowerCase();
+    const value = sep < 0 ? entry : entry.slice(sep + 1);
+
+    if (kind === "include") {
+      if (!value) fail("include without a list name");
+      includes.push({
+        name: value,
+        must: attrs.filter((a) => !a.startsWith("-")),
+        mustNot: attrs.filter((a) => a.startsWith("-")).map((a) => a.slice(1)),
+      });
+      continue;
+    }
+    const rule = { type: kind, value: normalizeValue(kind, value), attrs };
+    const problem = validateRule(rule);
+    if (problem) fail(problem);
+    rules.push(rule);
+  }
+  return { rules, includes };
+};
+
+const includeFilter = ({ must, mustNot }) => (rule) => {
+  const attrs = rule.attrs || [];
+  return must.every((a) => attrs.includes(a)) && !mustNot.some((a) => attrs.includes(a));
+};
+
+/**
+ * Flatten include: directives. Lists may include each other or an external list
+ * (e.g. an upstream geosite.dat category); names are case-insensitive.
+ * @param {Map<string, ParsedList>} lists keyed by lowercase name
+ * @param {(name: string) => ListRule[] | null} external rules of a list not in `lists`
+ * @returns {Map<string, ListRule[]>} keyed like `lists`
+ */
+export const resolveIncludes = (lists, external = () => null) => {
+  const resolved = new Map();
+  const visit = (key, stack) => {
+    if (resolved.has(key)) return resolved.get(key);
+    if (stack.includes(key)) {
+      throw new Error(`include cycle: ${[...stack.slice(stack.indexOf(key)), key].join(" → ")}`);
+    }
+    const list = lists.get(key);
+    const rules = [...list.rules];
+    for (const inc of list.includes) {
+      const target = inc.name.toLowerCase();
+      const included = lists.has(target) ? visit(target, [...stack, key]) : external(target);
+      if (!included) throw new Error(`${key}: include:${inc.name} not found`);
+      for (const r of included.filter(includeFilter(inc))) {
+        rules.push({ ...r, origin: r.origin ? `${target}/${r.origin}` : target });
+      }
+    }
+    resolved.set(key, rules);
+    return rules;
+  };
+  for (const key of lists.keys()) visit(key, []);
+  return resolved;
+};
+
+const compareRules = (a, b) =>
+  a.type === b.type
+    ? a.value.localeCompare(b.value, "en", { sensitivity: "base" })
+    : a.type.localeCompare(b.type, "en", { sensitivity: "base" });
+
+/**
+ * Build every list of a domain-list-community data/ directory into categories, like
+ * dlc.dat but keeping include provenance. A rule reachable through several paths is kept
+ * once: the list's own definition first, else the first include; attributes are merged.
+ * @param {{ name: string; text: string }[]} files one entry per data/ file (name = file name)
+ * @returns {{ name: string; rules: ListRule[] }[]} names upper-cased as in dlc.dat, sorted rules
+ */
+export const buildV2flyCategories = (files) => {
+  const lists = new Map();
+  for (const { name, text } of files) {
+    const key = name.toLowerCase();
+    if (lists.has(key)) throw new Error(`${name}: duplicate list name`);
+    lists.set(key, parseV2flyList(text, name));
+  }
+  const resolved = resolveIncludes(lists);
+  const out = [];
+  for (const [key, rules] of resolved) {
+    const unique = new Map();
+    for (const r of rules) {
+      const id = `${r.type}:${r.value}`;
+      const prev = unique.get(id);
+      if (!prev) {
+        unique.set(id, { ...r, attrs: [...r.attrs] });
+        continue;
+      }
+      for (const a of r.attrs) if (!prev.attrs.includes(a)) prev.attrs.push(a);
+    }
+    const merged = Array.from(unique.values());
+    for (const r of merged) r.attrs.sort((a, b) => a.localeCompare(b, "en", { sensitivity: "base" }));
+    out.push({ name: key.toUpperCase(), rules: merged.sort(compareRules) });
+  }
+  return out;
+};
@@ -0,0 +1,228 @@
+// Regex → DOMAIN / DOMAIN-SUFFIX / DOMAIN-WILDCARD translation (shared by the Worker and build scripts)
+// Bounded disjunctions, optional groups, small character classes and {n,m}
+// quantifiers are expanded into several exact patterns; anything that cannot
+// be expanded is approximated and the result is classified so callers can
+// refuse conversions that would widen (or narrow) a rule.
+
+import regjsparser from "regjsparser"; // CommonJS: no named exports under Node
+
+const { parse } = regjsparser;
+
+/**
+ * @typedef {"exact" | "overmatch" | "undermatch"} Exactness
+ * @typedef {{ type: "full" | "domain" | "keyword" | "wildcard"; value: string }} WildcardRule
+ * @typedef {{ exactness: Exactness; rules: WildcardRule[] } | { exactness: "unsupported"; reason: string }} RegexTranslation
+ * @typedef {"exact-only" | "overmatch" | "skip"} RegexpMode which conversions to accept: exact only, anything approximated, or none
+ */
+
+/** @type {RegexpMode[]} */
+export const REGEXP_MODES = ["exact-only", "overmatch", "skip"];
+
+const MAX_VARIANTS = 16;
+const MAX_CLASS_CHARS = 4;
+
+// Expansion: { variants, over, under }. Variants are strings where "?" and "*" are
+// wildcards and "^"/"$" mark anchors (domains never contain these characters, so no
+// escaping is needed).
+
+class Unsupported extends Error {}
+
+const exact = (...variants) => ({ variants, over: false, under: false });
+const approx = (...variants) => ({ variants, over: true, under: false });
+
+const concat = (a, b) => {
+  // Too many combinations: widen the newer part first, then the whole prefix
+  if (a.variants.length * b.variants.length > MAX_VARIANTS) {
+    if (b.variants.length > 1) return concat(a, { ...b, variants: ["*"], over: true });
+    return concat({ ...a, variants: ["*"], over: true }, b);
+  }
+  const variants = [];
+  for (const x of a.variants) for (const y of b.variants) variants.push(x + y);
+  return { variants, over: a.over || b.over, under: a.under || b.under };
+};
+
+const sequence = (nodes) => nodes.map(expand).reduce(concat, exact(""));
+
+const classChars = (node) => {
+  if (node.negative || node.kind !== "union") return null;
+  const chars = new Set();
+  for (const item of node.body) {
+    if (item.type === "value") {
+      chars.add(String.fromCodePoint(item.codePoint).toLowerCase());
+    } else if (item.type === "characterClassRange") {
+      if (item.max.codePoint - item.min.codePoint >= MAX_CLASS_CHARS) return null;
+      for (let cp = item.min.codePoint; cp <= item.max.codePoint; cp++) {
+        chars.add(String.fromCodePoint(cp).toLowerCase());
+      }
+    } else {
+      return null;
+    }
+    if (chars.size > MAX_CLASS_CHARS) return null;
+  }
+  return Array.from(chars);
+};
+
+const repeat = (body, times) => {
+  let out = exact("");
+  for (let i = 0; i < times; i++) out = concat(out, body);
+  return out;
+};
+
+const quantify = (body, min, max) => {
+  if (max === undefined) {
+    // Unbounded: only `.*` / `.+` have an exact wildcard equivalent
+    const anyChar = body.variants.length === 1 && body.variants[0] === "?" && !body.over;
+    const prefix = repeat(body, min);
+    return { ...concat(prefix, exact("*")), over: prefix.over || !anyChar };
+  }
+  let count = 0;
+  const parts = [];
+  for (let k = min; k <= max; k++) {
+    count += Math.pow(body.variants.length, k);
+    if (count > MAX_VARIANTS && parts.length > 0) {
+      // Keep the repetitions that fit; longer ones are dropped
+      const variants = parts.flatMap((p) => p.variants);
+      return { variants, over: parts.some((p) => p.over), under: true };
+    }
+    parts.push(repeat(body, k));
+  }
+  return {
+    variants: Array.from(new Set(parts.flatMap((p) => p.variants))),
+    over: parts.some((p) => p.over),
+    under: parts.some((p) => p.under),
+  };
+};
+
+const expand = (node) => {
+  switch (node.type) {
+    case "value": {
+      const ch = String.fromCodePoint(node.codePoint).toLowerCase();
+      if ("?*^$".includes(ch)) throw new Unsupported(`literal "${ch}" has no wildcard form`);
+      return exact(ch);
+    }
+    case "dot":
+      return exact("?");
+    case "characterClass": {
+      const chars = classChars(node);
+      if (chars && chars.every((ch) => !"?*^$".includes(ch))) return exact(...chars);
+      return approx("?");
+    }
+    case "characterClassEscape":
+    case "unicodePropertyEscape":
+      return approx("?");
+    case "anchor":
+      if (node.kind === "start") return exact("^");
+      if (node.kind === "end") return exact("$");
+      return approx(""); // \b, \B
+    case "group":
+      // Lookarounds only restrict matches; dropping them widens the pattern
+      if (node.behavior !== "normal" && node.behavior !== "ignore") return approx("");
+      return sequence(node.body);
+    case "alternative":
+      return sequence(node.body);
+    case "disjunction": {
+      const alts = node.body.map(expand);
+      const variants = alts.flatMap((a) => a.variants);
+      if (variants.length > MAX_VARIANTS) return approx("*");
+      return {
+        variants: Array.from(new Set(variants)),
+        over: alts.some((a) => a.over),
+        under: alts.some((a) => a.under),
+      };
+    }
+    case "quantifier":
+      return quantify(expand(node.body[0]), node.min, node.max);
+    case "reference":
+      throw new Unsupported("backreferences are not supported");
+    default:
+      throw new Unsupported(`unsupported regex node "${node.type}"`);
+  }
+};
+
+// Resolve anchors into a wildcard matched against the whole host; null when
+// the variant can never match (e.g. "a^b")
+const anchorVariant = (v) => {
+  const start = v.startsWith("^");
+  const end = v.endsWith("$");
+  const body = v.slice(start ? 1 : 0, end ? -1 : undefined);
+  if (body.includes("^") || body.includes("$")) return null;
+  const pattern = `${start ? "" : "*"}${body}${end ? "" : "*"}`
+    .replace(/\*+/g, "*")
+    // "?*." equals "*." for valid hostnames (labels are never empty)
+    .replace(/(^|\.)\?\*\./g, "$1*.");
+  // An empty label never matches a hostname: the skipped branch of "^(a|b)?\.x\.com$"
+  // leaves ".x.com", which is dropped rather than emitted as an invalid rule
+  if (/^\.|\.\.|\.$/.test(pattern)) return null;
+  return pattern;
+};
+
+/**
+ * @param {string[]} patterns
+ * @returns {WildcardRule[]}
+ */
+const toRules = (patterns) => {
+  const set = new Set(patterns);
+  const rules = [];
+  const isLiteral = (p) => !/[?*]/.test(p);
+  for (const p of set) {
+    if (!isLiteral(p)) continue;
+    // "example.com" together with "*.example.com" is exactly DOMAIN-SUFFIX
+    const sub = `*.${p}`;
+    if (set.has(sub)) {
+      rules.push({ type: "domain", value: p });
+      set.delete(sub);
+    } else {
+      rules.push({ type: "full", value: p });
+    }
+    set.delete(p);
+  }
+  for (const p of set) {
+    // "*text*" is a plain substring match
+    const keyword = /^\*([^?*]+)\*$/.exec(p);
+    rules.push(keyword ? { type: "keyword", value: keyword[1] } : { type: "wildcard", value: p });
+  }
+  return rules;
+};
+
+/**
+ * @param {string} regex
+ * @returns {RegexTranslation}
+ */
+export const translateRegex = (regex) => {
+  // remove leading and trailing slashes
+  const cleanRegex = regex.replace(/^\/|\/$/g, "");
+
+  let expansion;
+  try {
+    const ast = parse(cleanRegex, "", {
+      lookbehind: true,
+      namedGroups: true,
+      unicodePropertyEscape: true,
+      unicodeSet: true,
+      modifiers: true,
+    });
+    expansion = expand(ast);
+  } catch (error) {
+    if (error instanceof Unsupported) return { exactness: "unsupported", reason: error.message };
+    return { exactness: "unsupported", reason: "invalid regex" };
+  }
+
+  const patterns = expansion.variants.map(anchorVariant).filter((p) => p !== null);
+  if (patterns.length === 0) return { exactness: "unsupported", reason: "regex cannot match a domain" };
+  // A pattern without any literal would match every domain
+  if (patterns.some((p) => !/[^?*.]/.test(p))) return { exactness: "unsupported", reason: "matches any domain" };
+
+  const exactness = expansion.over ? "overmatch" : expansion.under ? "undermatch" : "exact";
+  return { exactness, rules: toRules(patterns) };
+};
+
+/**
+ * Whether a translation may be emitted under the given mode
+ * @param {Exactness} exactness
+ * @param {RegexpMode} mode
+ */
+export const acceptTranslation = (exactness, mode) => {
+  if (mode === "skip") return false;
+  if (mode === "exact-only") return exactness === "exact";
+  return true;
+};
@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { cidrToRange, cidrsToRanges, intersectRanges, parseIPv6, rangesToCidrList } from "../shared/cidr.mjs";
+
+test("parseIPv6", () => {
+  assert.equal(parseIPv6("::"), 0n);
+  assert.equal(parseIPv6("::1"), 1n);
+  assert.equal(parseIPv6("2001:db8::1"), 0x20010db8000000000000000000000001n);
+  assert.equal(parseIPv6("::ffff:1.2.3.4"), 0xffff01020304n);
+  assert.equal(parseIPv6("1:2:3:4:5:6:7:8"), 0x00010002000300040005000600070008n);
+  for (const bad of ["1::2::3", "::1::", "1:::2", "1::2:3:4:5:6:7:8", "1:2:3:4:5:6:7", "1:2:3:4:5:6:7:8:9", "g::1", "12345::"]) {
+    assert.equal(parseIPv6(bad), null, bad);
+  }
+});
+
+test("cidrToRange", () => {
+  assert.deepEqual(cidrToRange("10.1.2.3/8"), { v4: true, from: 0x0a000000n, to: 0x0affffffn });
+  assert.deepEqual(cidrToRange(" 1.2.3.4 "), { v4: true, from: 0x01020304n, to: 0x01020304n });
+  assert.deepEqual(cidrToRange("2001:db8::/32"), { v4: false, from: 0x20010db8n << 96n, to: (0x20010db9n << 96n) - 1n });
+  assert.deepEqual(cidrToRange("0.0.0.0/0"), { v4: true, from: 0n, to: 0xffffffffn });
+  for (const bad of ["1.2.3.4/", "::/", "1.2.3.4/ 8", "1.2.3.4/+8", "1.2.3.4/8.0", "1.2.3.4/0x8", "1.2.3.4/8/9", "1.2.3.4/33", "::/129", "1.2.3.4/1e1", "/8", ""]) {
+    assert.equal(cidrToRange(bad), null, bad);
+  }
+});
+
+test("intersectRanges", () => {
+  const both = (a, b) => rangesToCidrList(intersectRanges(cidrsToRanges(a), cidrsToRanges(b)));
+  assert.deepEqual(both(["1.0.0.0/8", "2001:db8::/32"], ["1.2.0.0/16", "9.9.9.9/32", "2001:db8:1::/48"]), {
+    cidr4: ["1.2.0.0/16"],
+    cidr6: ["2001:db8:1::/48"],
+  });
+  assert.deepEqual(both(["10.0.0.0/24"], ["10.0.0.128/25", "10.0.1.0/24"]), { cidr4: ["10.0.0.128/25"], cidr6: [] });
+  assert.deepEqual(both(["10.0.0.0/24"], ["::/0"]), { cidr4: [], cidr6: [] });
+});
@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FilterSyntaxError, canonicalFilter, filterByAttrs } from "../shared/filter.mjs";
+
+test("canonicalFilter gives one spelling per expression", () => {
+  const cases = [
+    ["cn", "cn"],
+    ["CN & !ads", "!ads&cn"],
+    ["(!ads)&cn", "!ads&cn"],
+    ["!!cn", "cn"],
+    ["(cn|ads)&!x", "!x&(ads|cn)"],
+    ["!x & (ADS | cn)", "!x&(ads|cn)"],
+    ["a&(b&c)&a", "a&b&c"],
+    ["a&!!(b|c)", "(b|c)&a"],
+    ["!(a|b)", "!(a|b)"],
+    ["a|b&c", "a|b&c"],
+    ["origin=google-ads", "origin=google-ads"],
+  ];
+  for (const [expr, expected] of cases) assert.equal(canonicalFilter(expr), expected, expr);
+});
+
+test("canonicalFilter keeps the meaning of the expression", () => {
+  const rules = [{ attrs: [] }, { attrs: ["cn"] }, { attrs: ["ads"] }, { attrs: ["cn", "ads"] }, { attrs: ["x", "cn"] }];
+  for (const expr of ["cn&!ads", "(cn|ads)&!x", "!(cn|ads)", "a&!!(cn|ads)", "!!x|ads"]) {
+    assert.deepEqual(filterByAttrs(rules, canonicalFilter(expr)), filterByAttrs(rules, expr), expr);
+  }
+});
+
+test("canonicalFilter rejects malformed expressions", () => {
+  assert.throws(() => canonicalFilter("(cn"), FilterSyntaxError);
+  assert.throws(() => canonicalFilter("cn&"), FilterSyntaxError);
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { FORMATS, buildDomainSet, buildRuleList, getEmitter, splitFormatSuffix } from "../shared/formats.mjs";
+
+const OPTS = { policy: "Proxy", dns: "1.1.1.1", ip: "0.0.0.0", regexp: "exact-only" };
+const RULES = [
+  { type: "domain", value: "github.com" },
+  { type: "full", value: "api.github.com" },
+  { type: "keyword", value: "ads" },
+  { type: "regexp", value: "^(.+\\.)?example\\.org$" },
+];
+const EXTRA = { cidrs: ["1.0.0.0/8", "2001:db8::/32"], asns: [13335] };
+const OPTIMIZED = "Optimized: removed 1 of 4 rule(s) (0 duplicate, 1 covered by suffix, 0 covered by keyword)";
+const SURGE_LIKE = [
+  `# ${OPTIMIZED}`,
+  "DOMAIN-SUFFIX,github.com",
+  "DOMAIN-KEYWORD,ads",
+  "DOMAIN-SUFFIX,example.org",
+  "IP-CIDR,1.0.0.0/8,no-resolve",
+  "IP-CIDR6,2001:db8::/32,no-resolve",
+  "IP-ASN,13335,no-resolve",
+];
+
+const EXPECTED = {
+  surge: SURGE_LIKE,
+  shadowrocket: SURGE_LIKE,
+  loon: SURGE_LIKE,
+  clash: [
+    `# ${OPTIMIZED}`,
+    "# Skipped 1 rule(s) not supported by this format:",
+    "#   asn:13335 (no ASN rule type)",
+    "payload:",
+    "  - 'DOMAIN-SUFFIX,github.com'",
+    "  - 'DOMAIN-KEYWORD,ads'",
+    "  - 'DOMAIN-REGEX,^(.+\\.)?example\\.org$'",
+    "  - 'IP-CIDR,1.0.0.0/8,no-resolve'",
+    "  - 'IP-CIDR6,2001:db8::/32,no-resolve'",
+  ],
+  "clash-domain": [
+    `# ${OPTIMIZED}`,
+    "# Skipped 4 rule(s) not supported by this format:",
+    "#   keyword:ads (domain behavior has no keyword match)",
+    "#   cidr:1.0.0.0/8 (no IP rule type)",
+    "#   cidr:2001:db8::/32 (no IP rule type)",
+    "#   asn:13335 (no ASN rule type)",
+    "payload:",
+    "  - '+.github.com'",
+    "  - '+.example.org'",
+  ],
+  quanx: [
+    `# ${OPTIMIZED}`,
+    "# Skipped 1 rule(s) not supported by this format:",
+    "#   asn:13335 (no ASN rule type)",
+    "HOST-SUFFIX,github.com,Proxy",
+    "HOST-KEYWORD,ads,Proxy",
+    "HOST-SUFFIX,example.org,Proxy",
+    "IP-CIDR,1.0.0.0/8,Proxy",
+    "IP6-CIDR,2001:db8::/32,Proxy",
+  ],
+  adguard: [
+    `! ${OPTIMIZED}`,
+    "! Skipped 3 rule(s) not supported by this format:",
+    "!   cidr:1.0.0.0/8 (no IP rule type)",
+    "!   cidr:2001:db8::/32 (no IP rule type)",
+    "!   asn:13335 (no ASN rule type)",
+    "||github.com^",
+    "/ads/",
+    "/^(.+\\.)?example\\.org$/",
+  ],
+  dnsmasq: [
+    `# ${OPTIMIZED}`,
+    "# Skipped 4 rule(s) not supported by this format:",
+    "#   keyword:ads (no keyword match)",
+    "#   cidr:1.0.0.0/8 (no IP rule type)",
+    "#   cidr:2001:db8::/32 (no IP rule type)",
+    "#   asn:13335 (no ASN rule type)",
+    "server=/github.com/1.1.1.1",
+    "server=/example.org/1.1.1.1",
+  ],
+  // A hosts line matches only its own name, so api.github.com stays
+  hosts: [
+    "# Skipped 4 rule(s) not supported by this format:",
+    "#   keyword:ads (no keyword match)",
+    "#   cidr:1.0.0.0/8 (no IP rule type)",
+    "#   cidr:2001:db8::/32 (no IP rule type)",
+    "#   asn:13335 (no ASN rule type)",
+    "# Approximated 2 rule(s):",
+    "#   domain:github.com (subdomains not covered)",
+    "#   regexp:^(.+\\.)?example\\.org$ (subdomains not covered)",
+    "0.0.0.0 github.com",
+    "0.0.0.0 api.github.com",
+    "0.0.0.0 example.org",
+  ],
+};
+
+test("every format has an expected rendering", () => {
+  assert.deepEqual(Object.keys(EXPECTED).sort(), [...FORMATS].sort());
+});
+
+for (const format of FORMATS) {
+  test(`buildRuleList renders ${format}`, () => {
+    assert.deepEqual(buildRuleList(RULES, getEmitter(format), OPTS, {}, EXTRA).split("\n"), EXPECTED[format]);
+  });
+}
+
+test("buildRuleList without the optimizer keeps covered rules", () => {
+  const list = buildRuleList(RULES.slice(0, 2), getEmitter("surge"), OPTS, { optimize: false });
+  assert.equal(list, "DOMAIN-SUFFIX,github.com\nDOMAIN,api.github.com");
+});
+
+test("empty lists use the format's empty body", () => {
+  assert.equal(buildRuleList([], getEmitter("clash"), OPTS), "payload:\n  []");
+  assert.equal(buildRuleList([], getEmitter("surge"), OPTS), "");
+});
+
+test("regexp modes", () => {
+  const rules = [{ type: "regexp", value: "^ad[0-9]\\.example\\.com$" }];
+  assert.match(buildRuleList(rules, getEmitter("surge"), { ...OPTS, regexp: "exact-only" }), /Skipped 1 rule/);
+  assert.match(buildRuleList(rules, getEmitter("surge"), { ...OPTS, regexp: "skip" }), /\(regexp=skip\)/);
+  assert.equal(buildRuleList(rules, getEmitter("clash"), OPTS), "payload:\n  - 'DOMAIN-REGEX,^ad[0-9]\\.example\\.com$'");
+});
+
+test("adguard skips regexes containing a slash", () => {
+  assert.match(buildRuleList([{ type: "regexp", value: "a/b" }], getEmitter("adguard"), OPTS), /regex contains '\/'/);
+});
+
+test("surge passes verbatim lines through, other formats report them", () => {
+  const extra = { raw: ["AND,((DOMAIN,a.com),(DST-PORT,443))"] };
+  assert.equal(buildRuleList([], getEmitter("surge"), OPTS, {}, extra), extra.raw[0]);
+  assert.match(buildRuleList([], getEmitter("loon"), OPTS, {}, extra), /\(Surge-only rule\)/);
+});
+
+test("getEmitter and splitFormatSuffix", () => {
+  assert.equal(getEmitter("SURGE"), getEmitter("surge"));
+  assert.equal(getEmitter("nope"), null);
+  assert.deepEqual(splitFormatSuffix("Google.YAML"), ["Google", "clash"]);
+  assert.deepEqual(splitFormatSuffix("google.list"), ["google", "surge"]);
+  assert.deepEqual(splitFormatSuffix("google"), ["google", null]);
+});
+
+test("buildDomainSet moves keyword and regexp rules to the companion rule set", () => {
+  const { domainSet, ruleSet } = buildDomainSet(RULES, OPTS);
+  assert.deepEqual(domainSet.split("\n"), [
+    `# ${OPTIMIZED}`,
+    "# 2 keyword/regexp rule(s) are in the companion RULE-SET",
+    ".github.com",
+  ]);
+  assert.equal(ruleSet, "DOMAIN-KEYWORD,ads\nDOMAIN-SUFFIX,example.org");
+  assert.equal(buildDomainSet([{ type: "full", value: "a.com" }], OPTS).ruleSet, "# No keyword or regexp rules");
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { test } from "node:test";
+import { rangeToCidrs } from "../shared/cidr.mjs";
+import { parseIpCsv, parseLocationsCsv } from "../shared/ipcsv.mjs";
+
+const read = (name) => fs.readFileSync(new URL(`fixtures/${name}`, import.meta.url), "utf8");
+const locations = parseLocationsCsv(read("GeoLite2-Country-Locations-en.csv"));
+
+const parse = (name, locs) => {
+  const { rows, skipped } = parseIpCsv(read(name), locs);
+  return { rows: rows.map((r) => [rangeToCidrs(r.range).join(" "), r.country ?? r.asn]), skipped };
+};
+
+test("parseLocationsCsv falls back to the continent code", () => {
+  assert.equal(locations.get("2635167"), "GB");
+  assert.equal(locations.get("6255148"), "EU");
+  assert.equal(locations.size, 8);
+  assert.throws(() => parseLocationsCsv("id,code\n1,US"), /geoname_id and country_iso_code/);
+});
+
+test("GeoLite2 country blocks resolve geoname ids through the locations file", () => {
+  assert.deepEqual(parse("GeoLite2-Country-Blocks-IPv4.csv", locations), {
+    rows: [
+      ["2.125.160.216/29", "GB"],
+      ["81.2.69.142/31", "GB"],
+      ["89.160.20.112/28", "SE"],
+      ["216.160.83.56/29", "US"],
+      // Satellite network without a country: registered country
+      ["67.43.156.0/24", "BT"],
+    ],
+    skipped: 1,
+  });
+  assert.deepEqual(parse("GeoLite2-Country-Blocks-IPv6.csv", locations).rows, [
+    ["2001:218::/32", "JP"],
+    ["2001:250::/31", "CN"],
+    ["2a02:cf40::/29", "EU"],
+  ]);
+  assert.throws(() => parseIpCsv(read("GeoLite2-Country-Blocks-IPv4.csv")), /need a locations file/);
+});
+
+test("GeoLite2 ASN blocks", () => {
+  assert.deepEqual(parse("GeoLite2-ASN-Blocks-IPv4.csv"), {
+    rows: [
+      ["1.0.0.0/24", 13335],
+      ["1.1.1.0/24", 13335],
+      ["8.8.8.0/24", 15169],
+      ["223.5.5.0/24", 37963],
+    ],
+    skipped: 0,
+  });
+});
+
+test("headerless DB-IP ranges", () => {
+  assert.deepEqual(parse("dbip-country-lite.csv"), {
+    rows: [
+      ["1.0.0.0/24", "AU"],
+      ["1.0.1.0/24 1.0.2.0/23", "CN"],
+      ["1.0.4.0/22", "AU"],
+      ["2001:200::/32", "JP"],
+    ],
+    // 1.0.9.0-1.0.8.0 ends before it starts
+    skipped: 1,
+  });
+  assert.deepEqual(parse("dbip-asn-lite.csv").rows, [
+    ["1.0.0.0/24", 13335],
+    ["1.0.4.0/22", 38803],
+  ]);
+});
+
+test("headerless network,value rows and generic headers", () => {
+  assert.deepEqual(parseIpCsv("1.0.0.0/24,AS13335\n10.0.0.0/8,cn").rows.map((r) => [r.country, r.asn]), [
+    [null, 13335],
+    ["CN", null],
+  ]);
+  const { rows } = parseIpCsv("ip_from,ip_to,country_code\n1.0.0.0,1.0.0.255,AU");
+  assert.deepEqual(rows.map((r) => [rangeToCidrs(r.range), r.country]), [[["1.0.0.0/24"], "AU"]]);
+  assert.throws(() => parseIpCsv("foo,bar\n1,2"), /no network or start\/end column/);
+  assert.deepEqual(parseIpCsv(""), { rows: [], skipped: 0 });
+});
@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { compileDomainPatterns, insertDomainRule, matchDomainPatterns, matchDomainTrie } from "../shared/lookup.mjs";
+
+const build = (rules) => {
+  const trie = Object.create(null);
+  for (const [value, entry] of rules) insertDomainRule(trie, value, entry);
+  // Tries are stored as JSON and parsed again by the Worker
+  return { built: trie, parsed: JSON.parse(JSON.stringify(trie)) };
+};
+
+test("matchDomainTrie finds suffix and full rules", () => {
+  const { built, parsed } = build([
+    ["google.com", ["GOOGLE", "domain"]],
+    ["www.google.com", ["GOOGLE", "full", ["cn"]]],
+  ]);
+  for (const trie of [built, parsed]) {
+    assert.deepEqual(matchDomainTrie(trie, "www.google.com"), [
+      { category: "GOOGLE", type: "domain", value: "google.com", attrs: [] },
+      { category: "GOOGLE", type: "full", value: "www.google.com", attrs: ["cn"] },
+    ]);
+    assert.deepEqual(
+      matchDomainTrie(trie, "mail.www.google.com").map((m) => m.type),
+      ["domain"]
+    );
+    assert.deepEqual(matchDomainTrie(trie, "example.org"), []);
+  }
+});
+
+test("labels named after Object.prototype members stay in the trie", () => {
+  const { built, parsed } = build([
+    ["constructor.com", ["A", "domain"]],
+    ["__proto__.example.com", ["B", "full"]],
+    ["hasownproperty", ["C", "domain"]],
+  ]);
+  for (const trie of [built, parsed]) {
+    assert.deepEqual(matchDomainTrie(trie, "x.constructor.com").map((m) => m.category), ["A"]);
+    assert.deepEqual(matchDomainTrie(trie, "__proto__.example.com").map((m) => m.category), ["B"]);
+    assert.deepEqual(matchDomainTrie(trie, "a.hasownproperty").map((m) => m.category), ["C"]);
+    // Hosts whose labels only exist on Object.prototype match nothing
+    assert.deepEqual(matchDomainTrie(trie, "constructor"), []);
+    assert.deepEqual(matchDomainTrie(trie, "tostring.constructor"), []);
+    assert.deepEqual(matchDomainTrie(trie, "x.__proto__"), []);
+    assert.deepEqual(matchDomainTrie(trie, "valueof.__proto__.com"), []);
+  }
+  assert.equal(Object.getPrototypeOf({}).$, undefined);
+});
+
+test("matchDomainPatterns evaluates compiled keyword and regexp rules", () => {
+  const patterns = compileDomainPatterns([
+    { category: "ADS", type: "keyword", value: "ads" },
+    { category: "CDN", type: "regexp", value: "^cdn[0-9]+\\.", attrs: ["cn"] },
+    { category: "RE2", type: "regexp", value: "(?P<x>a)" },
+  ]);
+  assert.ok(patterns[1].regex instanceof RegExp);
+  assert.equal(patterns[2].regex, null);
+  assert.deepEqual(matchDomainPatterns(patterns, "cdn1.ads.example.com"), [
+    { category: "ADS", type: "keyword", value: "ads", attrs: [] },
+    { category: "CDN", type: "regexp", value: "^cdn[0-9]+\\.", attrs: ["cn"] },
+  ]);
+  assert.deepEqual(matchDomainPatterns(patterns, "a.example.com"), []);
+});
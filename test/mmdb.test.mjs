@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { test } from "node:test";
+import { rangeToCidrs } from "../shared/cidr.mjs";
+import { openMmdb, recordGeo, walkMmdb } from "../shared/mmdb.mjs";
+
+// MaxMind DB test databases (see test/fixtures/README.md)
+const open = (name) => openMmdb(new Uint8Array(fs.readFileSync(new URL(`fixtures/${name}`, import.meta.url))));
+
+const networks = (db) => {
+  const out = [];
+  walkMmdb(db, (range, prefix, data) => out.push([rangeToCidrs(range).join(" "), prefix, data]));
+  return out;
+};
+
+const IPV4_NETWORKS = ["1.1.1.1/32", "1.1.1.2/31", "1.1.1.4/30", "1.1.1.8/29", "1.1.1.16/28", "1.1.1.32/32"];
+
+test("walkMmdb visits every network of an IPv4 database (24-bit records)", () => {
+  const db = open("MaxMind-DB-test-ipv4-24.mmdb");
+  assert.equal(db.metadata.ip_version, 4);
+  assert.equal(db.metadata.record_size, 24);
+  assert.deepEqual(networks(db), IPV4_NETWORKS.map((n) => [n, Number(n.split("/")[1]), { ip: n.split("/")[0] }]));
+});
+
+test("walkMmdb reports ::/96 as IPv4 and skips its aliases (28-bit records)", () => {
+  const db = open("MaxMind-DB-test-mixed-28.mmdb");
+  assert.equal(db.metadata.ip_version, 6);
+  assert.equal(db.metadata.record_size, 28);
+  const found = networks(db);
+  assert.deepEqual(
+    found.map(([cidr]) => cidr),
+    [...IPV4_NETWORKS, "::1:ffff:ffff/128", "::2:0:0/122", "::2:0:40/124", "::2:0:50/125", "::2:0:58/127"]
+  );
+  assert.deepEqual(found[0][2], { ip: "::1.1.1.1" });
+});
+
+test("GeoIP2 country records", () => {
+  const db = open("GeoIP2-Country-Test.mmdb");
+  assert.equal(db.metadata.database_type, "GeoIP2-Country");
+  const byNetwork = new Map(networks(db).map(([cidr, , data]) => [cidr, recordGeo(data).country]));
+  assert.equal(byNetwork.size, 239);
+  assert.equal(byNetwork.get("2.125.160.216/29"), "GB");
+  assert.equal(byNetwork.get("89.160.20.112/28"), "SE");
+  assert.equal(byNetwork.get("216.160.83.56/29"), "US");
+  assert.equal(byNetwork.get("2001:250::/31"), "CN");
+  assert.equal(byNetwork.get("2a02:cf40::/29"), "NO");
+});
+
+test("recordGeo", () => {
+  assert.deepEqual(recordGeo({ country: { iso_code: "CN" }, registered_country: { iso_code: "HK" } }), { country: "CN", asn: null });
+  assert.deepEqual(recordGeo({ registered_country: { iso_code: "HK" } }), { country: "HK", asn: null });
+  assert.deepEqual(recordGeo({ country_code: "US", asn: "AS13335" }), { country: "US", asn: 13335 });
+  assert.deepEqual(recordGeo({ autonomous_system_number: 15169 }), { country: null, asn: 15169 });
+  assert.deepEqual(recordGeo("DE"), { country: null, asn: null });
+  assert.deepEqual(recordGeo(null), { country: null, asn: null });
+});
+
+test("openMmdb rejects files that are not MaxMind DBs", () => {
+  assert.throws(() => openMmdb(new TextEncoder().encode("not a database")), /metadata marker not found/);
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { formatOptimizeStats, optimizeRules } from "../shared/optimize.mjs";
+
+const values = ({ rules }) => rules.map((r) => `${r.type}:${r.value}`);
+
+test("optimizeRules merges duplicates and their attributes", () => {
+  const { rules, stats } = optimizeRules([
+    { type: "domain", value: "Example.com", attrs: ["cn"] },
+    { type: "domain", value: "example.com", attrs: ["ads"] },
+    { type: "regexp", value: "^A$" },
+    { type: "regexp", value: "^a$" },
+  ]);
+  assert.deepEqual(rules, [
+    { type: "domain", value: "example.com", attrs: ["ads", "cn"] },
+    { type: "regexp", value: "^A$" },
+    { type: "regexp", value: "^a$" },
+  ]);
+  assert.equal(stats.duplicates, 1);
+});
+
+test("optimizeRules drops rules covered by a domain suffix", () => {
+  const result = optimizeRules([
+    { type: "domain", value: "github.com" },
+    { type: "full", value: "api.github.com" },
+    { type: "domain", value: "raw.github.com" },
+    { type: "full", value: "github.com" },
+    { type: "full", value: "notgithub.com" },
+    { type: "domain", value: "com.cn" },
+  ]);
+  assert.deepEqual(values(result), ["domain:github.com", "full:notgithub.com", "domain:com.cn"]);
+  assert.equal(result.stats.coveredBySuffix, 3);
+});
+
+test("optimizeRules keeps covered rules without suffixCoverage", () => {
+  const rules = [
+    { type: "domain", value: "github.com" },
+    { type: "full", value: "api.github.com" },
+    { type: "domain", value: "raw.github.com" },
+  ];
+  assert.deepEqual(values(optimizeRules(rules, { suffixCoverage: false })), values({ rules }));
+});
+
+test("optimizeRules applies keyword coverage unless disabled", () => {
+  const rules = [
+    { type: "keyword", value: "ads" },
+    { type: "keyword", value: "badserver" },
+    { type: "domain", value: "ads.example.com" },
+    { type: "full", value: "example.com" },
+    { type: "regexp", value: "ads" },
+  ];
+  const result = optimizeRules(rules);
+  assert.deepEqual(values(result), ["keyword:ads", "full:example.com", "regexp:ads"]);
+  assert.equal(result.stats.coveredByKeyword, 2);
+  assert.deepEqual(values(optimizeRules(rules, { keywordCoverage: false })), [
+    "keyword:ads",
+    "domain:ads.example.com",
+    "full:example.com",
+    "regexp:ads",
+  ]);
+});
+
+test("formatOptimizeStats", () => {
+  assert.equal(formatOptimizeStats(optimizeRules([{ type: "full", value: "a.com" }]).stats), null);
+  const { stats } = optimizeRules([
+    { type: "domain", value: "a.com" },
+    { type: "domain", value: "a.com" },
+    { type: "full", value: "b.a.com" },
+  ]);
+  assert.equal(
+    formatOptimizeStats(stats),
+    "Optimized: removed 2 of 3 rule(s) (1 duplicate, 1 covered by suffix, 0 covered by keyword)"
+  );
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { test } from "node:test";
+import { inflateSync } from "node:zlib";
+import { SRS_VERSION_MAX, decodeSRS, encodeSRS, rulesToHeadless } from "../shared/srs.mjs";
+import { buildSuccinctSet, compareBytes, readSuccinctSet } from "../shared/succinct.mjs";
+
+const utf8 = new TextEncoder();
+const identity = { compress: (d) => d, decompress: (d) => d };
+const sorted = (list) => [...list].sort();
+const u64 = (n) => [0, 0, 0, 0, 0, 0, 0, n];
+
+const DOMAIN_RULE = {
+  domain: ["example.com", "www.example.org", "xn--fiqs8s.cn"],
+  domain_suffix: ["google.com", ".gstatic.com", "cn"],
+  domain_keyword: ["ads", "tracker"],
+  domain_regex: ["^ad[sx]?[0-9]*\\.", "^(.+\\.)?googleapis\\.cn$"],
+};
+const IP_RULE = { ip_cidr: ["1.0.0.0/24", "1.0.1.0/24", "8.8.8.8/32", "2001:db8::/32", "2400:cb00::/32"] };
+
+test("readSuccinctSet returns the keys given to buildSuccinctSet", () => {
+  const keys = ["", "a", "ab", "abc", "b", "ba", "moc.elgoog", "moc.elgoog.www"].map((s) => utf8.encode(s)).sort(compareBytes);
+  // Keys come back in breadth-first order
+  assert.deepEqual(readSuccinctSet(buildSuccinctSet(keys)).sort(compareBytes), keys);
+  assert.deepEqual(readSuccinctSet(buildSuccinctSet([])), []);
+});
+
+for (let version = 2; version <= SRS_VERSION_MAX; version++) {
+  test(`domain rule round-trips (version ${version})`, async () => {
+    const { version: v, rules } = await decodeSRS(await encodeSRS({ version, rules: [DOMAIN_RULE] }));
+    assert.equal(v, version);
+    assert.equal(rules.length, 1);
+    assert.deepEqual(sorted(rules[0].domain), sorted(DOMAIN_RULE.domain));
+    assert.deepEqual(sorted(rules[0].domain_suffix), sorted(DOMAIN_RULE.domain_suffix));
+    assert.deepEqual(rules[0].domain_keyword, DOMAIN_RULE.domain_keyword);
+    assert.deepEqual(rules[0].domain_regex, DOMAIN_RULE.domain_regex);
+  });
+}
+
+test("domain rule round-trips (version 1 splits suffixes)", async () => {
+  const { version, rules } = await decodeSRS(await encodeSRS({ version: 1, rules: [DOMAIN_RULE] }));
+  assert.equal(version, 1);
+  // "google.com" is stored as the exact domain plus ".google.com"
+  assert.deepEqual(sorted(rules[0].domain), sorted([...DOMAIN_RULE.domain, "google.com", "cn"]));
+  assert.deepEqual(sorted(rules[0].domain_suffix), sorted([".gstatic.com", ".google.com", ".cn"]));
+});
+
+for (let version = 1; version <= SRS_VERSION_MAX; version++) {
+  test(`ip rule round-trips with merged CIDRs (version ${version})`, async () => {
+    const { rules } = await decodeSRS(await encodeSRS({ version, rules: [IP_RULE] }));
+    assert.deepEqual(rules, [{ ip_cidr: ["1.0.0.0/23", "8.8.8.8/32", "2001:db8::/32", "2400:cb00::/32"] }]);
+  });
+}
+
+test("several rules and invert round-trip", async () => {
+  const input = { version: 3, rules: [{ domain_keyword: ["a"], invert: true }, IP_RULE, { domain: ["x.com"] }] };
+  const { rules } = await decodeSRS(await encodeSRS(input));
+  assert.deepEqual(rules.map((r) => Object.keys(r).sort()), [["domain_keyword", "invert"], ["ip_cidr"], ["domain"]]);
+  assert.equal(rules[0].invert, true);
+});
+
+test("body is a zlib stream", async () => {
+  const bytes = await encodeSRS({ version: 3, rules: [DOMAIN_RULE] });
+  assert.deepEqual(Array.from(bytes.subarray(0, 4)), [0x53, 0x52, 0x53, 3]);
+  const raw = await encodeSRS({ version: 3, rules: [DOMAIN_RULE] }, identity);
+  assert.deepEqual(new Uint8Array(inflateSync(bytes.subarray(4))), raw.subarray(4));
+});
+
+// sing-box's deflate stream differs from zlib's, so compiled files are compared after
+// decompression (see test/fixtures/README.md)
+const SING_BOX_FIXTURES = new URL("fixtures/sing-box/", import.meta.url);
+for (const file of fs.readdirSync(SING_BOX_FIXTURES).filter((f) => f.endsWith(".json"))) {
+  const compiled = new URL(file.replace(/\.json$/, ".srs"), SING_BOX_FIXTURES);
+  const skip = !fs.existsSync(compiled) && "no sing-box compiled .srs for this source";
+  test(`payload matches sing-box rule-set compile (${file})`, { skip }, async () => {
+    const source = JSON.parse(fs.readFileSync(new URL(file, SING_BOX_FIXTURES), "utf8"));
+    const expected = fs.readFileSync(compiled);
+    const raw = await encodeSRS(source, identity);
+    assert.deepEqual(Array.from(raw.subarray(0, 4)), Array.from(expected.subarray(0, 4)));
+    assert.deepEqual(raw.subarray(4), new Uint8Array(inflateSync(expected.subarray(4))));
+  });
+}
+
+// Expected bytes follow sing-box's rule-set writer (common/srs, succinct set from
+// openacid/succinct) for the smallest inputs
+test("uncompressed stream layout", async () => {
+  const domain = await encodeSRS({ version: 3, rules: [{ domain: ["a"] }] }, identity);
+  assert.deepEqual(
+    Array.from(domain),
+    [0x53, 0x52, 0x53, 3, 1, 0, 2, 1, 1, ...u64(2), 1, ...u64(6), 1, 0x61, 0xff, 0],
+  );
+  const ip = await encodeSRS({ version: 2, rules: [{ ip_cidr: ["1.2.3.0/24"] }] }, identity);
+  assert.deepEqual(Array.from(ip), [0x53, 0x52, 0x53, 2, 1, 0, 6, 1, ...u64(1), 4, 1, 2, 3, 0, 4, 1, 2, 3, 255, 0xff, 0]);
+});
+
+test("rulesToHeadless groups geosite rule types", () => {
+  const rules = [
+    { type: "full", value: "a.com" },
+    { type: "domain", value: "b.com" },
+    { type: "keyword", value: "c" },
+    { type: "regexp", value: "^d$" },
+    { type: "full", value: "e.com" },
+  ];
+  assert.deepEqual(rulesToHeadless(rules), {
+    domain: ["a.com", "e.com"],
+    domain_suffix: ["b.com"],
+    domain_keyword: ["c"],
+    domain_regex: ["^d$"],
+  });
+});
+
+test("rejects bad input", async () => {
+  await assert.rejects(encodeSRS({ version: SRS_VERSION_MAX + 1, rules: [] }), /unsupported rule-set version/);
+  await assert.rejects(encodeSRS({ version: 3, rules: [{ process_name: ["x"] }] }), /unsupported headless rule field/);
+  await assert.rejects(decodeSRS(Uint8Array.from([0x4d, 0x52, 0x53, 1])), /not an SRS file/);
+  await assert.rejects(decodeSRS(Uint8Array.from([0x53, 0x52, 0x53, 9])), /unsupported rule-set version/);
+});
@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeValue, parseV2flyList, validateRule } from "../shared/v2fly.mjs";
+
+const values = (text) => parseV2flyList(text, "test").rules.map((r) => `${r.type}:${r.value}`);
+
+test("parseV2flyList reads entries, attributes and includes", () => {
+  const { rules, includes } = parseV2flyList(
+    ["# header", "Example.com @ADS # comment", "full:www.example.org", "keyword:Tracker", "include:other @cn @-ads", ""].join("\n"),
+    "test"
+  );
+  assert.deepEqual(rules, [
+    { type: "domain", value: "example.com", attrs: ["ads"] },
+    { type: "full", value: "www.example.org", attrs: [] },
+    { type: "keyword", value: "tracker", attrs: [] },
+  ]);
+  assert.deepEqual(includes, [{ name: "other", must: ["cn"], mustNot: ["ads"] }]);
+});
+
+test("parseV2flyList keeps # inside regexp values", () => {
+  assert.deepEqual(values("regexp:^a#b\\.com$\nregexp:^C[#]d$ @x # note\nregexp:^e$#f"), [
+    "regexp:^a#b\\.com$",
+    "regexp:^C[#]d$",
+    "regexp:^e$#f",
+  ]);
+  assert.deepEqual(parseV2flyList("regexp:^x$ @cn # note @ads", "test").rules[0].attrs, ["cn"]);
+});
+
+test("parseV2flyList stores internationalized domains in ASCII form", () => {
+  assert.deepEqual(values("中国.cn\nfull:Bücher.example\nkeyword:Ü"), [
+    "domain:xn--fiqs8s.cn",
+    "full:xn--bcher-kva.example",
+    "keyword:ü",
+  ]);
+});
+
+test("parseV2flyList rejects invalid entries with their line", () => {
+  assert.throws(() => parseV2flyList("ok.com\nex@mple.com", "list"), /^Error: list:2: invalid domain "ex@mple\.com"/);
+  assert.throws(() => parseV2flyList("bad:x", "list"), /unknown rule type "bad"/);
+  assert.throws(() => parseV2flyList("regexp:(", "list"), /invalid regexp/);
+  assert.throws(() => parseV2flyList("a.com junk", "list"), /unexpected "junk"/);
+});
+
+test("normalizeValue converts query hosts like rule values", () => {
+  assert.equal(normalizeValue("full", "Bücher.Example"), "xn--bcher-kva.example");
+  assert.equal(normalizeValue("full", "ＡＢＣ.com"), "abc.com");
+  assert.equal(normalizeValue("full", "ä/b.com"), "ä/b.com");
+});
+
+test("normalizeValue leaves invalid domains for validateRule", () => {
+  assert.equal(normalizeValue("domain", "a b.com"), "a b.com");
+  assert.equal(validateRule({ type: "domain", value: normalizeValue("domain", "a b.com") }), 'invalid domain "a b.com"');
+  assert.equal(normalizeValue("regexp", "^Ä$"), "^Ä$");
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { acceptTranslation, translateRegex } from "../shared/wildcard.mjs";
+
+// regexp: rules in the shapes found in domain-list-community data/ lists, with the
+// expected rules (type:value as in geosite text) and exactness class
+const CORPUS = [
+  // exact
+  ["^(.+\\.)?googleapis\\.cn$", "exact", ["domain:googleapis.cn"]],
+  ["(^|\\.)x\\.com$", "exact", ["domain:x.com"]],
+  ["^(www\\.)?pixiv\\.(net|me)$", "exact", ["full:pixiv.net", "full:pixiv.me", "full:www.pixiv.net", "full:www.pixiv.me"]],
+  ["^.+\\.cdn\\.example\\.com$", "exact", ["wildcard:*.cdn.example.com"]],
+  ["\\.qq\\.com$", "exact", ["wildcard:*.qq.com"]],
+  ["tracker", "exact", ["keyword:tracker"]],
+  [
+    "^(dl|cdn)[1-2]?\\.example\\.com$",
+    "exact",
+    ["full:dl.example.com", "full:dl1.example.com", "full:dl2.example.com", "full:cdn.example.com", "full:cdn1.example.com", "full:cdn2.example.com"],
+  ],
+  // the skipped optional branch must not leave a leading "." behind
+  ["^(a|b)?\\.x\\.com$", "exact", ["full:a.x.com", "full:b.x.com"]],
+  ["^(cn|hk)?\\.?doubleclick\\.net$", "exact", ["full:doubleclick.net", "full:cn.doubleclick.net", "full:hk.doubleclick.net", "full:cndoubleclick.net", "full:hkdoubleclick.net"]],
+  // overmatch
+  [
+    "^adservice\\.google\\.([a-z]{2}|com?)(\\.[a-z]{2})?$",
+    "overmatch",
+    [
+      "full:adservice.google.co",
+      "full:adservice.google.com",
+      "wildcard:adservice.google.??",
+      "wildcard:adservice.google.??.??",
+      "wildcard:adservice.google.co.??",
+      "wildcard:adservice.google.com.??",
+    ],
+  ],
+  ["^ipv4-c[0-9]{3}-[a-z]{3}[0-9]{3}-[a-z]+\\.1\\.oca\\.nflxvideo\\.net$", "overmatch", ["wildcard:ipv4-c???-??????-?*.1.oca.nflxvideo.net"]],
+  ["^cache[0-9]+-[a-z]+[0-9]*\\.steamcontent\\.com$", "overmatch", ["wildcard:cache?*-?*.steamcontent.com"]],
+  ["^r[0-9]+---sn-[a-z0-9-]+\\.googlevideo\\.com$", "overmatch", ["wildcard:r?*---sn-?*.googlevideo.com"]],
+  ["^[a-z]\\.ppy\\.sh$", "overmatch", ["wildcard:?.ppy.sh"]],
+  ["^dl[0-9]\\.xiaomi\\.com$", "overmatch", ["wildcard:dl?.xiaomi.com"]],
+  ["^s3(-[a-z0-9-]+)?\\.amazonaws\\.com$", "overmatch", ["full:s3.amazonaws.com", "wildcard:s3-?*.amazonaws.com"]],
+  ["^api(-[a-z]{2})?\\.telegram\\.org$", "overmatch", ["full:api.telegram.org", "wildcard:api-??.telegram.org"]],
+  ["^[a-z0-9]{1,3}\\.tiktokcdn\\.com$", "overmatch", ["wildcard:?.tiktokcdn.com", "wildcard:??.tiktokcdn.com", "wildcard:???.tiktokcdn.com"]],
+  ["^e[0-9]{2}\\.(cn|hk)\\.doubleclick\\.net$", "overmatch", ["wildcard:e??.cn.doubleclick.net", "wildcard:e??.hk.doubleclick.net"]],
+  ["^ad[sx]?[0-9]*\\.", "overmatch", ["wildcard:ad*.*", "wildcard:ads*.*", "wildcard:adx*.*"]],
+  ["^(?!www\\.)[a-z]+\\.example\\.org$", "overmatch", ["wildcard:*.example.org"]],
+  // undermatch: 1-digit labels fit, 2-digit repetitions are dropped
+  [
+    "^[1-4]{1,2}\\.cdn\\.example\\.com$",
+    "undermatch",
+    ["full:1.cdn.example.com", "full:2.cdn.example.com", "full:3.cdn.example.com", "full:4.cdn.example.com"],
+  ],
+];
+
+const UNSUPPORTED = [
+  ["^([a-z]+)\\1\\.com$", "backreferences are not supported"],
+  [".*", "matches any domain"],
+  ["^\\.x\\.com$", "regex cannot match a domain"],
+  ["x\\.com\\.$", "regex cannot match a domain"],
+  ["a^b", "regex cannot match a domain"],
+  ["(", "invalid regex"],
+];
+
+const format = (rules) => rules.map((r) => `${r.type}:${r.value}`).sort();
+
+test("translateRegex: geosite regexp corpus", async (t) => {
+  for (const [regex, exactness, rules] of CORPUS) {
+    await t.test(regex, () => {
+      const result = translateRegex(regex);
+      assert.equal(result.exactness, exactness);
+      assert.ok("rules" in result);
+      assert.deepEqual(format(result.rules), [...rules].sort());
+    });
+  }
+});
+
+test("translateRegex: unsupported patterns", async (t) => {
+  for (const [regex, reason] of UNSUPPORTED) {
+    await t.test(regex, () => {
+      assert.deepEqual(translateRegex(regex), { exactness: "unsupported", reason });
+    });
+  }
+});
+
+test("translateRegex: no rule has an empty label", () => {
+  for (const [regex] of CORPUS) {
+    const result = translateRegex(regex);
+    if (!("rules" in result)) continue;
+    for (const { value } of result.rules) assert.doesNotMatch(value, /^\.|\.\.|\.$/, `${regex} → ${value}`);
+  }
+});
+
+test("translateRegex: strips surrounding slashes", () => {
+  assert.deepEqual(translateRegex("/^(www\\.)?x\\.com$/"), translateRegex("^(www\\.)?x\\.com$"));
+});
+
+test("acceptTranslation", () => {
+  assert.equal(acceptTranslation("exact", "exact-only"), true);
+  assert.equal(acceptTranslation("overmatch", "exact-only"), false);
+  assert.equal(acceptTranslation("undermatch", "exact-only"), false);
+  assert.equal(acceptTranslation("overmatch", "overmatch"), true);
+  assert.equal(acceptTranslation("undermatch", "overmatch"), true);
+  assert.equal(acceptTranslation("exact", "skip"), false);
+});
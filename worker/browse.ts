@@ -0,0 +1,90 @@
+import { html, raw } from "hono/html";
+import { FORMATS } from "../shared/formats.mjs";
+import type { Page, SearchHit, SearchQuery } from "./search";
+
+// Browse page served at "/": the same search as /geosite?q= and /geoip?q=, rendered
+// as one compact HTML table with a link per output format for every category.
+
+type Kind = "geosite" | "geoip";
+type Link = [label: string, href: string];
+
+const geositeLinks = (name: string): Link[] => {
+  const n = encodeURIComponent(name);
+  return [
+    ...FORMATS.map((f): Link => [f, f === "surge" ? `/geosite/${n}` : `/geosite/${n}?format=${f}`]),
+    ["domainset", `/domainset/${n}`],
+    ["srs", `/srs/${n}.srs`],
+    ["mrs", `/mrs/${n}.mrs`],
+    ["meta", `/geosite/${n}/meta`],
+  ];
+};
+
+const geoipLinks = (name: string): Link[] => {
+  const n = encodeURIComponent(name);
+  return [
+    ["surge", `/geoip/${n}`],
+    ["v4", `/geoip/${n}@v4`],
+    ["v6", `/geoip/${n}@v6`],
+    ["srs", `/srs-geoip/${n}.srs`],
+    ["mrs", `/mrs-geoip/${n}.mrs`],
+    ["meta", `/geoip/${n}/meta`],
+  ];
+};
+
+const summary = (hit: SearchHit): string => {
+  if (!hit.entry) return "";
+  const counts = Object.entries(hit.entry.counts)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${type} ${count}`);
+  return counts.join(", ");
+};
+
+const STYLE = `
+body{font:14px/1.4 system-ui,sans-serif;margin:1.5rem auto;max-width:72rem;padding:0 1rem;color:#222}
+form{display:flex;flex-wrap:wrap;gap:.5rem;margin:1rem 0}input,select,button{font:inherit;padding:.25rem .4rem}
+table{border-collapse:collapse;width:100%}th,td{text-align:left;padding:.3rem .5rem;border-bottom:1px solid #ddd;vertical-align:top}
+td a{margin-right:.5rem}.muted{color:#777}nav{margin:1rem 0;display:flex;gap:1rem}
+`;
+
+export const renderBrowsePage = (kind: Kind, query: SearchQuery, page: Page<SearchHit>, pageUrl: (n: number) => string) => {
+  const linksFor = kind === "geosite" ? geositeLinks : geoipLinks;
+  const rows = page.items.map(
+    (hit) => html`<tr>
+      <td><strong>${hit.name}</strong>${hit.aliases.length > 0 ? html` <span class="muted">(${hit.aliases.join(", ")})</span>` : ""}</td>
+      <td class="muted">${summary(hit)}</td>
+      <td>${linksFor(hit.name).map(([label, href]) => html`<a href="${href}">${label}</a>`)}</td>
+    </tr>`
+  );
+  return html`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Surge Geosite Ruleset</title>
+<style>${raw(STYLE)}</style>
+</head>
+<body>
+<h1>Surge Geosite Ruleset</h1>
+<form method="get" action="/">
+  <select name="kind">
+    <option value="geosite"${kind === "geosite" ? " selected" : ""}>geosite</option>
+    <option value="geoip"${kind === "geoip" ? " selected" : ""}>geoip</option>
+  </select>
+  <input name="q" value="${query.q}" placeholder="name, e.g. google" autofocus>
+  <input name="attr" value="${query.attrs.join(",")}" placeholder="attr, e.g. cn" size="10">
+  <input name="type" value="${query.types.join(",")}" placeholder="type, e.g. regexp" size="10">
+  <button type="submit">Search</button>
+</form>
+<p class="muted">${page.total} ${kind} ${page.total === 1 ? "entry" : "entries"} · JSON: <a href="/${kind}">/${kind}</a> · <a href="https://github.com/Sleepstars/Surge-Geosite-Enhance">GitHub</a></p>
+<table>
+<thead><tr><th>Name</th><th>Rules</th><th>Links</th></tr></thead>
+<tbody>${rows}</tbody>
+</table>
+<nav>
+  ${page.page > 1 ? html`<a href="${pageUrl(page.page - 1)}">← previous</a>` : ""}
+  <span class="muted">page ${page.page} of ${page.pages}</span>
+  ${page.page < page.pages ? html`<a href="${pageUrl(page.page + 1)}">next →</a>` : ""}
+</nav>
+</body>
+</html>`;
+};
@@ -0,0 +1,86 @@
+import type { RuleItem, RuleJSON } from "./types";
+
+// Composite category expressions for /geosite and /geoip, e.g.
+//   google+youtube+github      union
+//   geolocation-!cn-category-ads  difference
+//   cn&cloudflare              intersection (GeoIP only)
+// Category names themselves contain "-", so each "+" (or "&") term is segmented
+// against the known names (longest name first); evaluation is left to right.
+
+export type CompositeTerm = { op: "+" | "-" | "&"; name: string };
+
+const segmentTerm = (parts: string[], names: Set<string>): string[] | null => {
+  if (parts.length === 0) return [];
+  for (let i = parts.length; i > 0; i--) {
+    const candidate = parts.slice(0, i).join("-");
+    if (!names.has(candidate.toLowerCase())) continue;
+    const rest = segmentTerm(parts.slice(i), names);
+    if (rest) return [candidate, ...rest];
+  }
+  return null;
+};
+
+// Returns null when the expression cannot be split into known category names;
+// "&" separates terms only with intersect (CIDR sets intersect, rule lists do not)
+export const parseComposite = (expr: string, names: Set<string>, intersect = false): CompositeTerm[] | null => {
+  const terms: CompositeTerm[] = [];
+  let op: "+" | "&" = "+";
+  let start = 0;
+  for (let i = 0; i <= expr.length; i++) {
+    if (i < expr.length && expr[i] !== "+" && !(intersect && expr[i] === "&")) continue;
+    const chunk = expr.slice(start, i);
+    if (!chunk) return null;
+    const segments = segmentTerm(chunk.split("-"), names);
+    if (!segments) return null;
+    segments.forEach((name, j) => terms.push({ op: j === 0 ? op : "-", name }));
+    op = expr[i] === "&" ? "&" : "+";
+    start = i + 1;
+  }
+  return terms;
+};
+
+const ruleKey = (r: RuleItem) => `${r.type}:${r.value.toLowerCase()}`;
+
+// True when a domain/full rule falls under one of the given suffixes
+const coveredBySuffix = (r: RuleItem, suffixes: Set<string>): boolean => {
+  if (r.type !== "domain" && r.type !== "full") return false;
+  const labels = r.value.toLowerCase().split(".");
+  for (let i = 0; i < labels.length; i++) {
+    if (suffixes.has(labels.slice(i).join("."))) return true;
+  }
+  return false;
+};
+
+// Set operations on rules, not on the domains they match. "-" removes a rule only when
+// the subtracted list has the same rule, or (for domain/full rules) a domain rule for
+// one of its suffixes. Everything else stays, so a+b-c can still match names c matches:
+//   full:/keyword:/regexp: rules of c remove only identical rules
+//   a domain rule is kept when c holds only subdomains of it (full:www.x.com leaves x.com)
+//   keyword/regexp rules are never compared with what they match
+export const combineRules = (name: string, parts: { op: CompositeTerm["op"]; data: RuleJSON }[]): RuleJSON => {
+  const merged = new Map<string, RuleItem>();
+  for (const { op, data } of parts) {
+    if (op === "+") {
+      for (const r of data.rules) {
+        const key = ruleKey(r);
+        const prev = merged.get(key);
+        if (!prev) {
+          merged.set(key, { ...r, attrs: [...(r.attrs || [])] });
+          continue;
+        }
+        // Same rule from several categories: keep the union of attributes
+        const attrs = new Set([...(prev.attrs || []), ...(r.attrs || [])]);
+        prev.attrs = Array.from(attrs).sort();
+      }
+    } else if (op === "-") {
+      const suffixes = new Set(data.rules.filter((r) => r.type === "domain").map((r) => r.value.toLowerCase()));
+      const removed = new Set(data.rules.map(ruleKey));
+      for (const [key, r] of merged) {
+        if (removed.has(key) || coveredBySuffix(r, suffixes)) merged.delete(key);
+      }
+    } else {
+      throw new Error(`"${op}" is not defined for rule lists`);
+    }
+  }
+  return { name, rules: Array.from(merged.values()) };
+};
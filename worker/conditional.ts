@@ -0,0 +1,104 @@
+import type { Context, MiddlewareHandler } from "hono";
+
+// Validators and conditional requests for every route.
+// recordSources wraps the request's R2 binding so each object a response was built
+// from is remembered; the ETag is a hash of those objects' etags plus the URL (name,
+// filter, format and options), and Last-Modified is the newest upload among them.
+// Responses built without R2 (KV index) are hashed instead. conditional runs outside
+// the edge cache so cached responses are revalidated too.
+
+type Env = { SRS_BUCKET?: R2Bucket; GEO_KV?: KVNamespace; CF_VERSION_METADATA?: WorkerVersionMetadata };
+
+const hex = (buf: ArrayBuffer) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+
+const digest = async (data: string | ArrayBuffer) =>
+  hex(await crypto.subtle.digest("SHA-256", typeof data === "string" ? new TextEncoder().encode(data) : data));
+
+const recordingBucket = (bucket: R2Bucket, seen: Map<string, R2Object>): R2Bucket =>
+  new Proxy(bucket, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop);
+      if (typeof value !== "function") return value;
+      if (prop !== "get" && prop !== "head") return value.bind(target);
+      return async (...args: unknown[]) => {
+        const obj = (await value.apply(target, args)) as R2Object | null;
+        if (obj) seen.set(obj.key, obj);
+        return obj;
+      };
+    },
+  });
+
+export const recordSources: MiddlewareHandler = async (c, next) => {
+  const env = c.env as Env | undefined;
+  const seen = new Map<string, R2Object>();
+  if (env?.SRS_BUCKET) c.env = { ...env, SRS_BUCKET: recordingBucket(env.SRS_BUCKET, seen) };
+  await next();
+  if (c.res.status < 200 || c.res.status >= 300) {
+    c.res.headers.set("cache-control", "no-store");
+    return;
+  }
+  const url = new URL(c.req.url);
+  const sources = Array.from(seen.values()).sort((a, b) => (a.key < b.key ? -1 : 1));
+  const basis =
+    sources.length > 0
+      ? sources.map((o) => `${o.key} ${o.httpEtag}`).join("\n")
+      : await digest(await c.res.clone().arrayBuffer());
+  c.res.headers.set("etag", `"${(await digest(`${url.pathname}${url.search}\n${basis}`)).slice(0, 32)}"`);
+  if (sources.length > 0) {
+    const newest = Math.max(...sources.map((o) => o.uploaded.getTime()));
+    c.res.headers.set("last-modified", new Date(newest).toUTCString());
+  }
+};
+
+// If-None-Match wins over If-Modified-Since (RFC 9110 §13.2.2)
+const notModified = (req: Request, res: Response): boolean => {
+  const etag = res.headers.get("etag");
+  const inm = req.headers.get("if-none-match");
+  if (inm !== null) {
+    if (!etag) return false;
+    const strip = (t: string) => t.trim().replace(/^W\//, "");
+    return inm.trim() === "*" || inm.split(",").some((t) => strip(t) === strip(etag));
+  }
+  const ims = Date.parse(req.headers.get("if-modified-since") || "");
+  const lastModified = Date.parse(res.headers.get("last-modified") || "");
+  return !Number.isNaN(ims) && !Number.isNaN(lastModified) && lastModified <= ims;
+};
+
+export const conditional: MiddlewareHandler = async (c, next) => {
+  await next();
+  if (c.res.status !== 200 || !notModified(c.req.raw, c.res)) return;
+  const headers = new Headers();
+  for (const name of ["etag", "last-modified", "cache-control", "vary"]) {
+    const value = c.res.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+  // Clear first: assigning c.res merges the previous response's headers (content-length etc.)
+  c.res = undefined as unknown as Response;
+  c.res = new Response(null, { status: 304, headers });
+};
+
+// Current build version (KV "build:version", written by CI); "0" when unset
+export const getBuildVersion = async (env?: Env): Promise<string> => {
+  try {
+    return (await env?.GEO_KV?.get("build:version", { cacheTtl: 60 })) || "0";
+  } catch (_) {
+    return "0";
+  }
+};
+
+// Short id of the current build for R2 keys; scripts/sync-r2.mjs derives the same id
+// from BUILD_VERSION to prune objects written under earlier builds
+export const getBuildId = async (env?: Env): Promise<string> => (await digest(await getBuildVersion(env))).slice(0, 16);
+
+// Id of the deployed Worker version (wrangler.toml version_metadata); "0" without the binding
+export const getDeploymentId = (env?: Env): string => env?.CF_VERSION_METADATA?.id || "0";
+
+// Edge cache key: URL plus the current build version and deployment, so a new build or
+// deploy starts from a fresh cache instead of serving stale lists
+export const versionedCacheKey = async (c: Context): Promise<string> => {
+  const env = c.env as Env | undefined;
+  const url = new URL(c.req.url);
+  url.searchParams.set("__build", await getBuildVersion(env));
+  url.searchParams.set("__deploy", getDeploymentId(env));
+  return url.toString();
+};
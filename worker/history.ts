@@ -0,0 +1,73 @@
+import type { HistoryBuild, HistoryEntry, RuleItem } from "./types";
+
+// Point-in-time selection over geosite-history/ and rule-level diffs.
+// A reference is "latest", a date (YYYY-MM-DD, end of that day in UTC) or a
+// build id prefix of at least 7 hex digits. Builds recorded without an id are matched
+// on their source version instead, which several builds may share.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SHA_RE = /^[0-9a-f]{7,64}$/i;
+
+export const isHistoryRef = (ref: string): boolean => ref === "latest" || DATE_RE.test(ref) || SHA_RE.test(ref);
+
+export const AMBIGUOUS_BUILD = -2;
+
+// Index into builds of the build a reference points at, -1 when none matches, or
+// AMBIGUOUS_BUILD when a prefix matches builds with different content
+export const resolveBuild = (builds: HistoryBuild[], ref: string): number => {
+  if (ref === "latest") return builds.length - 1;
+  if (DATE_RE.test(ref)) {
+    const end = Date.parse(`${ref}T23:59:59.999Z`);
+    if (Number.isNaN(end)) return -1;
+    for (let i = builds.length - 1; i >= 0; i--) {
+      if (Date.parse(builds[i].builtAt) <= end) return i;
+    }
+    return -1;
+  }
+  const prefix = ref.toLowerCase();
+  let found = -1;
+  const contents = new Set<string>();
+  for (let i = builds.length - 1; i >= 0; i--) {
+    const { id, version } = builds[i];
+    if (!(id || version).startsWith(prefix)) continue;
+    if (found < 0) found = i;
+    contents.add(id || `#${i}`); // a reverted build repeats its id; legacy entries are all distinct
+  }
+  return contents.size > 1 ? AMBIGUOUS_BUILD : found;
+};
+
+// The category's state as of build n: the last change at or before it
+export const entryAt = (log: HistoryEntry[], n: number): HistoryEntry | null => {
+  let found: HistoryEntry | null = null;
+  for (const entry of log) {
+    if (entry.n > n) break;
+    found = entry;
+  }
+  return found;
+};
+
+const ruleKey = (r: RuleItem) => `${r.type}:${r.value}`;
+const attrsKey = (r: RuleItem) => [...(r.attrs || [])].sort().join(",");
+
+export type RuleDiff = {
+  added: RuleItem[];
+  removed: RuleItem[];
+  changed: { type: RuleItem["type"]; value: string; from: string[]; to: string[] }[]; // attributes only
+};
+
+export const diffRules = (before: RuleItem[], after: RuleItem[]): RuleDiff => {
+  const old = new Map(before.map((r) => [ruleKey(r), r]));
+  const cur = new Map(after.map((r) => [ruleKey(r), r]));
+  const diff: RuleDiff = { added: [], removed: [], changed: [] };
+  for (const [key, r] of cur) {
+    const prev = old.get(key);
+    if (!prev) diff.added.push(r);
+    else if (attrsKey(prev) !== attrsKey(r)) {
+      diff.changed.push({ type: r.type, value: r.value, from: prev.attrs || [], to: r.attrs || [] });
+    }
+  }
+  for (const [key, r] of old) {
+    if (!cur.has(key)) diff.removed.push(r);
+  }
+  return diff;
+};
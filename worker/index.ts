@@ -1,37 +1,89 @@
-import { Hono } from "hono";
+import { type Context, Hono } from "hono";
 import { HTTPException } from "hono/http-exception";
 import { logger } from "hono/logger";
 import { cache } from "hono/cache";
 
-import { regexAstToWildcard } from "./wildcard";
+import {
+  type EmitOptions,
+  type ExtraRules,
+  FORMATS,
+  buildDomainSet,
+  buildRuleList,
+  getEmitter,
+  splitFormatSuffix,
+} from "../shared/formats.mjs";
+import { optimizeRules } from "../shared/optimize.mjs";
+import { encodeSRS, rulesToHeadless } from "../shared/srs.mjs";
+import { FilterSyntaxError, canonicalFilter, filterByAttrs } from "../shared/filter.mjs";
+import {
+  aggregateCidrs,
+  cidrsToRanges,
+  intersectRanges,
+  rangesToCidrList,
+  subtractRanges,
+  unionRanges,
+} from "../shared/cidr.mjs";
+import {
+  type CompiledPattern,
+  type DomainPattern,
+  type IPSegment,
+  compileDomainPatterns,
+  domainShardsForHost,
+  findSegment,
+  findStart,
+  matchDomainPatterns,
+  matchDomainTrie,
+  parseAddress,
+} from "../shared/lookup.mjs";
+import { type CompositeTerm, combineRules, parseComposite } from "./composite";
+import { conditional, getBuildId, getDeploymentId, recordSources, versionedCacheKey } from "./conditional";
+import { AMBIGUOUS_BUILD, diffRules, entryAt, isHistoryRef, resolveBuild } from "./history";
+import { type SearchHit, type SearchQuery, addContentHits, paginate, searchNames } from "./search";
+import { renderBrowsePage } from "./browse";
+import { PROFILE_TARGETS, ProfileError, parseProfile, renderSingBoxProfile, renderSurgeProfile } from "./profile";
+import { REGEXP_MODES, type RegexpMode } from "../shared/wildcard.mjs";
+import { type NameMap, buildNameMap, resolveName, suggestNames } from "../shared/names.mjs";
+import { normalizeValue } from "../shared/v2fly.mjs";
+import type {
+  Catalog,
+  CategoryMeta,
+  GeoIPJSON,
+  HistoryBuild,
+  HistoryEntry,
+  MiscJSON,
+  RuleItem,
+  RuleJSON,
+} from "./types";
 
 const app = new Hono();
 app.use(logger());
 
-// Cache all responses via Cloudflare cache API
+// 304s for If-None-Match / If-Modified-Since, also on edge-cache hits
+app.get("*", conditional);
+
+// Cache successful responses via Cloudflare cache API, keyed by build version
 app.get(
   "*",
   cache({
     cacheName: "rulelist",
     cacheControl: "max-age=1800",
+    cacheableStatusCodes: [200],
+    keyGenerator: versionedCacheKey,
   })
 );
 
+// ETag / Last-Modified from the R2 objects each response is built from
+app.get("*", recordSources);
+
+type GeoKind = "geosite" | "geoip";
+type GeoEnv = { GEO_KV?: KVNamespace; SRS_BUCKET?: R2Bucket; CF_VERSION_METADATA?: WorkerVersionMetadata };
+
 // Try to fetch prebuilt JSON rules (generated by CI) only
-type RuleItem = { type: "domain" | "full" | "keyword" | "regexp"; value: string; attrs?: string[] };
-type RuleJSON = { name: string; rules: RuleItem[] };
-
-const getJsonRules = async (name: string, r2?: R2Bucket): Promise<RuleJSON | null> => {
-  const candidates = Array.from(
-    new Set([
-      name,
-      name.toUpperCase(),
-      name.toLowerCase(),
-    ])
-  );
+const getJsonRules = async (name: string, env?: GeoEnv): Promise<RuleJSON | null> => {
+  const r2 = env?.SRS_BUCKET;
   // Only use R2; do not fallback to GitHub or CDN
   if (r2) {
-    for (const n of candidates) {
+    for (const n of await nameCandidates("geosite", name, env)) {
       const key = `geosite-json/${n}.json`;
       try {
         const obj = await r2.get(key);
@@ -53,49 +105,224 @@ const getJsonRules = async (name: string, r2?: R2Bucket): Promise<RuleJSON | nul
   return null;
 };
 
-const genSurgeListFromJson = async (
-  data: RuleJSON,
-  filter: string | null = null
-): Promise<string> => {
-  const lines: string[] = [];
-  for (const r of data.rules) {
-    // filter by attribute
-    // Supports @cn and @!cn (negation). Attribute compare is case-insensitive.
-    if (filter) {
-      const neg = filter.startsWith("!");
-      const target = (neg ? filter.slice(1) : filter).toLowerCase();
-      const attrs = (r.attrs || []).map((a) => a.toLowerCase());
-      const has = attrs.includes(target);
-      if ((!neg && !has) || (neg && has)) continue;
+// Build metadata (counts, attributes, hashes) written by CI next to each JSON object
+const getMeta = async (kind: GeoKind, name: string, env?: GeoEnv): Promise<CategoryMeta | null> => {
+  const r2 = env?.SRS_BUCKET;
+  if (!r2) {
+    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  }
+  for (const n of await nameCandidates(kind, name, env)) {
+    const obj = await r2.get(`${kind}-meta/${n}.json`);
+    if (obj) return (await obj.json()) as CategoryMeta;
+  }
+  return null;
+};
+
+// Name → URL index; prefer KV (single-key cache written by CI), fallback to R2
+const getIndex = async (kind: GeoKind, env?: GeoEnv): Promise<Record<string, string> | null> => {
+  const kv = env?.GEO_KV;
+  if (kv) {
+    try {
+      const cached = (await kv.get(`${kind}:index`, { type: "json", cacheTtl: 3600 })) as
+        | Record<string, string>
+        | null;
+      if (cached && typeof cached === "object") return cached;
+    } catch (_) {
+      // ignore and fallback to R2
     }
-    switch (r.type) {
-      case "domain":
-        lines.push(`DOMAIN-SUFFIX,${r.value}`);
-        break;
-      case "full":
-        lines.push(`DOMAIN,${r.value}`);
-        break;
-      case "keyword":
-        lines.push(`DOMAIN-KEYWORD,${r.value}`);
-        break;
-      case "regexp": {
-        const wildcard = regexAstToWildcard(r.value);
-        const skip = /^[\?\*]+$/.test(wildcard);
-        lines.push(`${skip ? "# SKIPPED-DOMAIN-WILDCARD," : "DOMAIN-WILDCARD,"}${wildcard}`);
-        break;
-      }
+  }
+
+  const bucket = env?.SRS_BUCKET;
+  if (!bucket) {
+    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  }
+  const obj = await bucket.get(`${kind}/index.json`);
+  if (!obj) return null;
+  try {
+    const data = (await (obj as any).json?.()) as Record<string, string> | undefined;
+    if (data && typeof data === "object") return data;
+  } catch (_) {
+    // ignore and parse manually
+  }
+  const ab = await obj.arrayBuffer();
+  const text = new TextDecoder().decode(ab);
+  return JSON.parse(text) as Record<string, string>;
+};
+
+// Canonical name map (shared/names.mjs): lowercased name or alias → stored key, built by
+// scripts/build-names.mjs. Loaded once per isolate from KV; the R2 copy and the index are
+// fallbacks read per request so the ETag always covers them.
+const NAME_MAP_TTL_MS = 5 * 60 * 1000;
+const nameMaps = new Map<GeoKind, { map: NameMap; loadedAt: number }>();
+
+const getNameMap = async (kind: GeoKind, env?: GeoEnv): Promise<NameMap | null> => {
+  const memo = nameMaps.get(kind);
+  if (memo && Date.now() - memo.loadedAt < NAME_MAP_TTL_MS) return memo.map;
+  try {
+    const map = (await env?.GEO_KV?.get(`${kind}:names`, { type: "json", cacheTtl: 3600 })) as NameMap | null;
+    if (map && typeof map === "object") {
+      nameMaps.set(kind, { map, loadedAt: Date.now() });
+      return map;
     }
+  } catch (_) {
+    // ignore and fallback to R2
+  }
+  try {
+    const obj = await env?.SRS_BUCKET?.get(`${kind}/names.json`);
+    if (obj) return (await obj.json()) as NameMap;
+    const index = await getIndex(kind, env);
+    return index ? buildNameMap(Object.keys(index)).map : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// Stored keys to read for a requested name: the canonical key, nothing for an unknown
+// name, or the old casing variants while no map is deployed
+const nameCandidates = async (kind: GeoKind, name: string, env?: GeoEnv): Promise<string[]> => {
+  const map = await getNameMap(kind, env);
+  if (!map) return Array.from(new Set([name, name.toUpperCase(), name.toLowerCase()]));
+  const key = resolveName(map, name);
+  return key ? [key] : [];
+};
+
+// Near misses from the name map, appended to error messages
+const didYouMean = async (kind: GeoKind, name: string, env?: GeoEnv): Promise<string> => {
+  const map = await getNameMap(kind, env);
+  const hints = map ? suggestNames(map, name) : [];
+  return hints.length > 0 ? `. Did you mean: ${hints.join(", ")}?` : "";
+};
+
+// 404 for a missing category, with near misses from the name map
+const notFound = async (kind: GeoKind, name: string, env: GeoEnv | undefined, message: string) =>
+  new HTTPException(404, { message: `${message}${await didYouMean(kind, name, env)}` });
+
+// Resolve a plain name or a composite expression (a+b-c) into one rule list; "-" subtracts
+// rules, not matched domains (see combineRules)
+// load: per-category loader, e.g. a pinned historical version instead of the current JSON
+const resolveRules = async (
+  expr: string,
+  env?: GeoEnv,
+  load: (name: string) => Promise<RuleJSON | null> = (name) => getJsonRules(name, env)
+): Promise<RuleJSON | null> => {
+  if (!expr.includes("+") && !expr.includes("-")) return load(expr);
+
+  // Names and aliases, so aliases can be combined too
+  const names = new Set(Object.keys((await getNameMap("geosite", env)) || {}));
+  if (names.size === 0 || names.has(expr.toLowerCase())) return load(expr);
+
+  const terms = parseComposite(expr, names);
+  if (!terms || terms.length === 1) {
+    // Unknown dashed names fall through to the plain lookup (and its 404)
+    if (!expr.includes("+")) return load(terms?.[0].name || expr);
+    throw new HTTPException(400, { message: `Cannot resolve "${expr}" into known categories` });
+  }
+  const parts = await Promise.all(
+    terms.map(async ({ op, name }) => {
+      const data = await load(name);
+      if (!data) {
+        throw await notFound("geosite", name, env, `Rules not found for "${name}" (JSON missing)`);
+      }
+      return { op, data };
+    })
+  );
+  return combineRules(expr, parts);
+};
+
+// ---------- History (geosite-history/, appended by scripts/sync-r2.mjs) ----------
+
+const getHistoryBuilds = async (r2: R2Bucket): Promise<HistoryBuild[]> => {
+  const obj = await r2.get("geosite-history/builds.json");
+  return obj ? ((await obj.json()) as HistoryBuild[]) : [];
+};
+
+// Change log of one category; removed categories are no longer in the name map, so the
+// casing variants are tried after the canonical key
+const getHistoryLog = async (name: string, env: GeoEnv & { SRS_BUCKET: R2Bucket }): Promise<{ name: string; log: HistoryEntry[] } | null> => {
+  const r2 = env.SRS_BUCKET;
+  const candidates = [...(await nameCandidates("geosite", name, env)), name, name.toUpperCase(), name.toLowerCase()];
+  for (const n of new Set(candidates)) {
+    const obj = await r2.get(`geosite-history/${n}/log.json`);
+    if (obj) return { name: n, log: (await obj.json()) as HistoryEntry[] };
+  }
+  return null;
+};
+
+const requireBuild = (builds: HistoryBuild[], ref: string, param: string): number => {
+  if (!isHistoryRef(ref)) {
+    throw new HTTPException(400, { message: `Invalid ${param} "${ref}": use latest, YYYY-MM-DD or a build id prefix` });
+  }
+  const n = resolveBuild(builds, ref);
+  if (n === AMBIGUOUS_BUILD) {
+    throw new HTTPException(400, { message: `Ambiguous ${param}=${ref}: it matches several builds; use a longer build id` });
+  }
+  if (n < 0) throw new HTTPException(404, { message: `No build matches ${param}=${ref}` });
+  return n;
+};
+
+// Category rules as of build n; null when the category did not exist then
+const getRulesAt = async (name: string, n: number, env: GeoEnv & { SRS_BUCKET: R2Bucket }): Promise<RuleJSON | null> => {
+  const r2 = env.SRS_BUCKET;
+  const history = await getHistoryLog(name, env);
+  const entry = history ? entryAt(history.log, n) : null;
+  if (!history || !entry?.sha256) return null;
+  const obj = await r2.get(`geosite-history/${history.name}/${entry.sha256}.json`);
+  return obj ? ((await obj.json()) as RuleJSON) : null;
+};
+
+const filterError = (error: unknown): never => {
+  if (error instanceof FilterSyntaxError) {
+    throw new HTTPException(400, { message: `Invalid filter expression: ${error.message}\n${error.pointer()}` });
+  }
+  throw error;
+};
+
+// Filter expression after "@" (shared/filter.mjs): cn, !cn, cn&!ads, (cn|ads)&!x, key=value
+const filterRules = (rules: RuleItem[], filter: string | null = null): RuleItem[] => {
+  try {
+    return filterByAttrs(rules, filter);
+  } catch (error) {
+    return filterError(error);
   }
-  return lines.join("\n");
+};
+
+// One spelling per filter for storage keys: "cn & !ads" and "!ads&CN" share an object
+const filterKey = (filter: string): string => {
+  try {
+    return canonicalFilter(filter);
+  } catch (error) {
+    return filterError(error);
+  }
+};
+
+// Defaults are mirrored by scripts/build-surge.mjs for the prebuilt lists
+const emitOptions = (opts: Partial<EmitOptions>): EmitOptions => ({
+  policy: opts.policy || "proxy",
+  dns: opts.dns || "114.114.114.114",
+  ip: opts.ip || "0.0.0.0",
+  regexp: opts.regexp || "exact-only",
+});
+
+const genRuleListFromJson = async (
+  data: RuleJSON,
+  filter: string | null = null,
+  format = "surge",
+  opts: Partial<EmitOptions> & { optimize?: boolean } = {},
+  extra: ExtraRules = {}
+): Promise<string> => {
+  const emitter = getEmitter(format);
+  if (!emitter) {
+    throw new HTTPException(400, { message: `Unknown format "${format}". Supported: ${FORMATS.join(", ")}` });
+  }
+  return buildRuleList(filterRules(data.rules, filter), emitter, emitOptions(opts), { optimize: opts.optimize !== false }, extra);
 };
 
 // ---------- GEOIP (JSON → Surge list) ----------
-type GeoIPJSON = { name: string; cidr4?: string[]; cidr6?: string[] };
 
-const getGeoipJson = async (name: string, r2?: R2Bucket): Promise<GeoIPJSON | null> => {
-  const candidates = Array.from(new Set([name, name.toUpperCase(), name.toLowerCase()]));
+const getGeoipJson = async (name: string, env?: GeoEnv): Promise<GeoIPJSON | null> => {
+  const r2 = env?.SRS_BUCKET;
   if (r2) {
-    for (const n of candidates) {
+    for (const n of await nameCandidates("geoip", name, env)) {
       const key = `geoip-json/${n}.json`;
       try {
         const obj = await r2.get(key);
@@ -115,6 +342,42 @@ const getGeoipJson = async (name: string, r2?: R2Bucket): Promise<GeoIPJSON | nu
   return null;
 };
 
+// Resolve a group or composite (cn-private, cn+hk, cn&cloudflare) minus ?exclude= groups into one CIDR set
+const resolveGeoip = async (
+  expr: string,
+  exclude: string[],
+  env?: GeoEnv
+): Promise<GeoIPJSON | null> => {
+  const fetchGroup = async (name: string) => {
+    const data = await getGeoipJson(name, env);
+    if (!data) {
+      throw await notFound("geoip", name, env, `GeoIP not found for "${name}" (JSON missing)`);
+    }
+    return cidrsToRanges([...(data.cidr4 || []), ...(data.cidr6 || [])]);
+  };
+
+  let terms: CompositeTerm[] = [{ op: "+", name: expr }];
+  if (/[+&-]/.test(expr)) {
+    const names = new Set(Object.keys((await getNameMap("geoip", env)) || {}));
+    const parsed = names.size > 0 && !names.has(expr.toLowerCase()) ? parseComposite(expr, names, true) : null;
+    if (parsed) terms = parsed;
+    // Unknown dashed names fall through to the plain lookup (and its 404)
+    else if (names.size > 0 && /[+&]/.test(expr)) {
+      throw new HTTPException(400, { message: `Cannot resolve "${expr}" into known GeoIP groups` });
+    }
+  }
+  if (terms.length === 1 && exclude.length === 0) return getGeoipJson(terms[0].name, env);
+
+  const parts = await Promise.all(terms.map(async ({ op, name }) => ({ op, ranges: await fetchGroup(name) })));
+  const combine = { "+": unionRanges, "-": subtractRanges, "&": intersectRanges };
+  let ranges = parts.reduce(
+    (acc, { op, ranges }) => combine[op](acc, ranges),
+    [] as ReturnType<typeof cidrsToRanges>
+  );
+  for (const name of exclude) ranges = subtractRanges(ranges, await fetchGroup(name));
+  return { name: expr, ...rangesToCidrList(ranges) };
+};
+
 const genSurgeIpListFromJson = async (
   data: GeoIPJSON,
   filter: string | null = null
@@ -122,13 +385,14 @@ const genSurgeIpListFromJson = async (
   const wantV4 = !filter || filter.toLowerCase() === "v4" || filter.toLowerCase() === "ipv4";
   const wantV6 = !filter || filter.toLowerCase() === "v6" || filter.toLowerCase() === "ipv6";
   const lines: string[] = [];
+  // Merge adjacent/contained prefixes: fewer lines, cheaper matching in Surge
   if (wantV4) {
-    for (const cidr of data.cidr4 || []) {
+    for (const cidr of aggregateCidrs(data.cidr4 || [])) {
       lines.push(`IP-CIDR,${cidr},no-resolve`);
     }
   }
   if (wantV6) {
-    for (const cidr of data.cidr6 || []) {
+    for (const cidr of aggregateCidrs(data.cidr6 || [])) {
       lines.push(`IP-CIDR6,${cidr},no-resolve`);
     }
   }
@@ -148,35 +412,80 @@ const getGeoipSrsKey = (name: string, filter: string | null): string => {
   return `geoip/${fname}`;
 };
 
-app.get("/srs/:name_with_filter", async (c) => {
+// MRS sits next to SRS with its own extension
+const getMrsKey = (name: string, filter: string | null): string => {
+  const fname = filter ? `${name}@${filter}.mrs` : `${name}.mrs`;
+  return `geosite/${fname}`;
+};
+
+const getGeoipMrsKey = (name: string, filter: string | null): string => {
+  const fname = filter ? `${name}@${filter}.mrs` : `${name}.mrs`;
+  return `geoip/${fname}`;
+};
+
+// Objects compiled on demand are stored under ondemand/<build id>/<deployment id>/, so
+// neither a new build (KV "build:version") nor a deploy of changed encoder or filter code
+// serves them stale; scripts/sync-r2.mjs prunes earlier builds with all their deployments
+const getOnDemandKey = async (env: GeoEnv | undefined, key: string): Promise<string> =>
+  `ondemand/${await getBuildId(env)}/${getDeploymentId(env)}/${key}`;
+
+// Compile a geosite SRS from its JSON when no prebuilt object exists (e.g. @ads),
+// mirroring scripts/build-srs.mjs, and store it so later requests hit R2 directly
+const buildGeositeSrs = async (
+  env: GeoEnv & { SRS_BUCKET: R2Bucket },
+  name: string,
+  filter: string | null
+): Promise<{ key: string; body: ReadableStream | Uint8Array } | null> => {
+  const bucket = env.SRS_BUCKET;
+  const key = await getOnDemandKey(env, getSrsKey(name, filter && filterKey(filter)));
+  const stored = await bucket.get(key);
+  if (stored) return { key, body: stored.body };
+  const data = await getJsonRules(name, env);
+  if (!data) return null;
+  const rules = optimizeRules(filterRules(data.rules, filter)).rules as RuleItem[];
+  const headless = rulesToHeadless(rules);
+  if (Object.keys(headless).length === 0) {
+    throw new HTTPException(404, { message: `No rules in ${data.name} match @${filter}` });
+  }
+  const body = await encodeSRS({ version: 3, rules: [headless] });
+  await bucket.put(key, body, { httpMetadata: { contentType: "application/octet-stream" } });
+  return { key, body };
+};
+
+// Binary rule-sets (SRS, MRS) served straight from R2, e.g. /srs/APPLE@cn.srs
+const serveRuleSet = async (
+  c: Context,
+  kind: GeoKind,
+  ext: string,
+  keyFor: (name: string, filter: string | null) => string,
+  build?: typeof buildGeositeSrs
+): Promise<Response> => {
   let raw = c.req.param("name_with_filter").trim();
   if (!raw || raw.length === 0) {
     throw new HTTPException(400, { message: "Invalid name parameter" });
   }
-  // Require ".srs" suffix in URL, e.g. /srs/APPLE.srs or /srs/APPLE@cn.srs
-  if (!raw.toLowerCase().endsWith(".srs")) {
+  // Require the file suffix in URL, e.g. /srs/APPLE.srs or /mrs/APPLE@cn.mrs
+  if (!raw.toLowerCase().endsWith(ext)) {
     throw new HTTPException(404, { message: "Not found" });
   }
-  raw = raw.slice(0, -4);
+  raw = raw.slice(0, -ext.length);
   const [rawName, rawFilter] = raw.includes("@") ? raw.split("@", 2) : [raw, null];
   const name = rawName; // keep original case
   const filter = rawFilter ? rawFilter.toLowerCase() : null; // attributes are lowercase like cn
 
-  const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
+  const env = (c as any).env as GeoEnv | undefined;
+  const bucket = env?.SRS_BUCKET;
   if (!bucket) {
     throw new HTTPException(500, { message: "SRS bucket not configured" });
   }
-  const candidates = Array.from(
-    new Set([
-      name,
-      name.toUpperCase(),
-      name.toLowerCase(),
-    ])
-  );
+  const candidates = await nameCandidates(kind, name, env);
+  if (candidates.length === 0) {
+    throw await notFound(kind, name, env, `${ext.slice(1).toUpperCase()} not found`);
+  }
   let found: R2ObjectBody | null = null;
   let pickedKey = "";
   for (const n of candidates) {
-    const key = getSrsKey(n, filter);
+    const key = keyFor(n, filter);
     const obj = await bucket.get(key);
     if (obj) {
       found = obj;
@@ -184,27 +493,103 @@ app.get("/srs/:name_with_filter", async (c) => {
       break;
     }
   }
-  const obj = found;
-  if (!obj) {
-    throw new HTTPException(404, { message: "SRS not found" });
+  let body: ReadableStream | Uint8Array | null = found?.body ?? null;
+  if (!found && build) {
+    const built = await build({ ...env, SRS_BUCKET: bucket }, candidates[0], filter);
+    if (built) ({ key: pickedKey, body } = built);
+  }
+  if (!body) {
+    throw new HTTPException(404, { message: `${ext.slice(1).toUpperCase()} not found` });
   }
   const headers = new Headers();
   headers.set("content-type", "application/octet-stream");
   const suggested = pickedKey.split("/").pop() || pickedKey;
   headers.set("content-disposition", `inline; filename="${encodeURIComponent(suggested)}"`);
-  if (obj.etag) headers.set("etag", obj.etag);
-  return new Response(obj.body, { headers });
+  return new Response(body, { headers });
+};
+
+// Filters without a prebuilt object are compiled on demand and written back to R2
+app.get("/srs/:name_with_filter", (c) => serveRuleSet(c, "geosite", ".srs", getSrsKey, buildGeositeSrs));
+
+// SRS (GeoIP) distribution via R2
+app.get("/srs-geoip/:name_with_filter", (c) => serveRuleSet(c, "geoip", ".srs", getGeoipSrsKey));
+
+// mihomo MRS rule-providers (behavior: domain / ipcidr)
+app.get("/mrs/:name_with_filter", (c) => serveRuleSet(c, "geosite", ".mrs", getMrsKey));
+
+app.get("/mrs-geoip/:name_with_filter", (c) => serveRuleSet(c, "geoip", ".mrs", getGeoipMrsKey));
+
+const getSurgeKey = (name: string, filter: string | null): string =>
+  `surge/${name}${filter ? `@${filter}` : ""}.list`;
+
+// Ready-made list for /geosite/<name>[@filter] with default options; null for
+// filters the build does not cover (converted live instead)
+const getPrebuiltSurgeList = async (name: string, filter: string | null, env?: GeoEnv): Promise<R2ObjectBody | null> => {
+  const r2 = env?.SRS_BUCKET;
+  if (!r2) return null;
+  for (const n of await nameCandidates("geosite", name, env)) {
+    const obj = await r2.get(getSurgeKey(n, filter));
+    if (obj) return obj;
+  }
+  return null;
+};
+
+app.get("/geosite/:name/meta", async (c) => {
+  const name = c.req.param("name").trim();
+  const meta = await getMeta("geosite", name, (c as any).env);
+  if (!meta) {
+    throw await notFound("geosite", name, (c as any).env, "Metadata not found");
+  }
+  return c.json(meta);
+});
+
+// Added/removed rules between two builds, e.g. /geosite/google@cn/diff?from=2026-09-01&to=latest
+app.get("/geosite/:name/diff", async (c) => {
+  const [name, rawFilter] = c.req.param("name").trim().split("@", 2);
+  const filter = rawFilter ? rawFilter.toLowerCase() : null;
+  const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
+  if (!bucket) {
+    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  }
+  const fromRef = c.req.query("from");
+  const toRef = c.req.query("to") || "latest";
+  if (!name || !fromRef) {
+    throw new HTTPException(400, { message: "Usage: /geosite/<name>/diff?from=<date|id>&to=<date|id|latest>" });
+  }
+  const env = { ...(c as any).env, SRS_BUCKET: bucket };
+  const history = await getHistoryLog(name, env);
+  if (!history) {
+    throw await notFound("geosite", name, env, "No history for this category");
+  }
+  const builds = await getHistoryBuilds(bucket);
+  const from = requireBuild(builds, fromRef, "from");
+  const to = requireBuild(builds, toRef, "to");
+  const [before, after] = await Promise.all([getRulesAt(name, from, env), getRulesAt(name, to, env)]);
+  const side = (n: number, data: RuleJSON | null) => ({ ...builds[n], exists: data !== null });
+  return c.json({
+    name: history.name,
+    filter,
+    from: side(from, before),
+    to: side(to, after),
+    ...diffRules(filterRules(before?.rules || [], filter), filterRules(after?.rules || [], filter)),
+  });
 });
 
 app.get("/geosite/:name_with_filter", async (c) => {
-  const raw = c.req.param("name_with_filter").trim();
+  // Output format: ?format= wins over a file suffix such as .yaml
+  const [raw, suffixFormat] = splitFormatSuffix(c.req.param("name_with_filter").trim());
+  const format = c.req.query("format") || suffixFormat || "surge";
+  const regexpMode = (c.req.query("regexp") || "exact-only") as RegexpMode;
+  if (!REGEXP_MODES.includes(regexpMode)) {
+    throw new HTTPException(400, { message: `Invalid regexp mode. Supported: ${REGEXP_MODES.join(", ")}` });
+  }
 
   if (!raw || raw.length === 0) {
     throw new HTTPException(400, { message: "Invalid name parameter" });
   }
 
   const [rawName, rawFilter] = raw.includes("@") ? raw.split("@", 2) : [raw, null];
-  const name = rawName; // keep original case; we try variants when fetching JSON
+  const name = rawName; // any casing or alias; resolved through the name map
   const filter = rawFilter ? rawFilter.toLowerCase() : null; // attributes are lowercase like cn
 
   if (!name || name.length === 0) {
@@ -212,13 +597,34 @@ app.get("/geosite/:name_with_filter", async (c) => {
   }
 
   try {
-    // Only use prebuilt JSON rules (no v2fly fallback)
-    const jsonRules = await getJsonRules(name, (c as any).env?.SRS_BUCKET);
+    // Default Surge output is prebuilt per category and filter (scripts/build-surge.mjs)
+    const defaults = Object.keys(c.req.query()).every((k) => k === "format");
+    if (format.toLowerCase() === "surge" && defaults && !name.includes("+")) {
+      const prebuilt = await getPrebuiltSurgeList(name, filter, (c as any).env);
+      if (prebuilt) return c.body(prebuilt.body, 200, { "content-type": getEmitter("surge")!.contentType });
+    }
+
+    // Otherwise convert prebuilt JSON rules (no v2fly fallback); ?version= pins a historical build
+    const version = c.req.query("version");
+    let load: ((n: string) => Promise<RuleJSON | null>) | undefined;
+    if (version) {
+      const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
+      if (!bucket) throw new HTTPException(500, { message: "SRS bucket not configured" });
+      const n = requireBuild(await getHistoryBuilds(bucket), version, "version");
+      load = (part) => getRulesAt(part, n, { ...(c as any).env, SRS_BUCKET: bucket });
+    }
+    const jsonRules = await resolveRules(name, (c as any).env, load);
     if (!jsonRules) {
-      throw new HTTPException(404, { message: "Rules not found (JSON missing)" });
+      throw await notFound("geosite", name, (c as any).env, "Rules not found (JSON missing)");
     }
-    const surgeList = await genSurgeListFromJson(jsonRules, filter);
-    return c.text(surgeList);
+    const list = await genRuleListFromJson(jsonRules, filter, format, {
+      policy: c.req.query("policy"),
+      dns: c.req.query("dns"),
+      ip: c.req.query("ip"),
+      regexp: regexpMode,
+      optimize: c.req.query("optimize") !== "0",
+    });
+    return c.body(list, 200, { "content-type": getEmitter(format)!.contentType });
   } catch (error) {
     console.error(`Error processing ${raw}:`, error);
     if (error instanceof HTTPException) throw error;
@@ -228,39 +634,58 @@ app.get("/geosite/:name_with_filter", async (c) => {
   }
 });
 
-app.get("/geosite", async (c) => {
-  // Prefer KV (single-key cache written by CI), fallback to R2
-  const kv = (c as any).env?.GEO_KV as KVNamespace | undefined;
-  if (kv) {
-    try {
-      const cached = (await kv.get("geosite:index", { type: "json", cacheTtl: 3600 })) as
-        | Record<string, string>
-        | null;
-      if (cached && typeof cached === "object") {
-        return c.json(cached);
-      }
-    } catch (_) {
-      // ignore and fallback to R2
-    }
+// Name → URL index, or a search with ?q=&attr=&type=&contents=1&page=&limit=
+app.get("/geosite", (c) => serveIndex(c, "geosite"));
+
+// ---------- DOMAIN-SET (prebuilt by scripts/build-surge.mjs under domainset/ and domainset-rules/) ----------
+
+const getDomainSetKey = (name: string, filter: string | null, leftovers: boolean): string =>
+  `${leftovers ? "domainset-rules" : "domainset"}/${name}${filter ? `@${filter}` : ""}.list`;
+
+// Surge DOMAIN-SET of a category (/domainset/<name>[@filter]) or its companion RULE-SET
+// with the keyword/regexp rules a domain set cannot hold (/domainset/<name>[@filter]/rules)
+const serveDomainSet = async (c: Context, leftovers: boolean): Promise<Response> => {
+  const raw = c.req.param("name_with_filter").trim().replace(/\.(list|txt)$/i, "");
+  const [name, rawFilter] = raw.includes("@") ? raw.split("@", 2) : [raw, null];
+  const filter = rawFilter ? rawFilter.toLowerCase() : null;
+  if (!name) {
+    throw new HTTPException(400, { message: "Invalid name parameter" });
+  }
+  const regexpMode = (c.req.query("regexp") || "exact-only") as RegexpMode;
+  if (!REGEXP_MODES.includes(regexpMode)) {
+    throw new HTTPException(400, { message: `Invalid regexp mode. Supported: ${REGEXP_MODES.join(", ")}` });
   }
+  const env = (c as any).env as GeoEnv | undefined;
+  const contentType = getEmitter("surge")!.contentType;
 
-  const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
-  if (!bucket) {
-    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  if (Object.keys(c.req.query()).length === 0 && !name.includes("+") && env?.SRS_BUCKET) {
+    for (const n of await nameCandidates("geosite", name, env)) {
+      const obj = await env.SRS_BUCKET.get(getDomainSetKey(n, filter, leftovers));
+      if (obj) return c.body(obj.body, 200, { "content-type": contentType });
+    }
   }
-  const obj = await bucket.get("geosite/index.json");
-  if (!obj) {
-    throw new HTTPException(404, { message: "Index not found" });
+
+  const jsonRules = await resolveRules(name, env);
+  if (!jsonRules) {
+    throw await notFound("geosite", name, env, "Rules not found (JSON missing)");
   }
-  try {
-    const data = (await (obj as any).json?.()) as Record<string, string> | undefined;
-    if (data && typeof data === "object") return c.json(data);
-  } catch (_) {
-    // ignore and parse manually
+  const { domainSet, ruleSet } = buildDomainSet(filterRules(jsonRules.rules, filter), emitOptions({ regexp: regexpMode }), {
+    optimize: c.req.query("optimize") !== "0",
+  });
+  return c.body(leftovers ? ruleSet : domainSet, 200, { "content-type": contentType });
+};
+
+app.get("/domainset/:name_with_filter/rules", (c) => serveDomainSet(c, true));
+
+app.get("/domainset/:name_with_filter", (c) => serveDomainSet(c, false));
+
+app.get("/geoip/:name/meta", async (c) => {
+  const name = c.req.param("name").trim();
+  const meta = await getMeta("geoip", name, (c as any).env);
+  if (!meta) {
+    throw await notFound("geoip", name, (c as any).env, "Metadata not found");
   }
-  const ab = await obj.arrayBuffer();
-  const text = new TextDecoder().decode(ab);
-  return c.json(JSON.parse(text));
+  return c.json(meta);
 });
 
 app.get("/geoip/:name_with_filter", async (c) => {
@@ -273,9 +698,13 @@ app.get("/geoip/:name_with_filter", async (c) => {
   const filter = rawFilter ? rawFilter.toLowerCase() : null; // supports v4/v6
 
   try {
-    const json = await getGeoipJson(name, (c as any).env?.SRS_BUCKET);
+    const exclude = (c.req.query("exclude") || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    const json = await resolveGeoip(name, exclude, (c as any).env);
     if (!json) {
-      throw new HTTPException(404, { message: "GeoIP not found (JSON missing)" });
+      throw await notFound("geoip", name, (c as any).env, "GeoIP not found (JSON missing)");
     }
     const surgeList = await genSurgeIpListFromJson(json, filter);
     return c.text(surgeList);
@@ -288,101 +717,435 @@ app.get("/geoip/:name_with_filter", async (c) => {
   }
 });
 
-app.get("/geoip", async (c) => {
-  const kv = (c as any).env?.GEO_KV as KVNamespace | undefined;
-  if (kv) {
-    try {
-      const cached = (await kv.get("geoip:index", { type: "json", cacheTtl: 3600 })) as
-        | Record<string, string>
-        | null;
-      if (cached && typeof cached === "object") {
-        return c.json(cached);
-      }
-    } catch (_) {}
+app.get("/geoip", (c) => serveIndex(c, "geoip"));
+
+// ---------- ASN (prebuilt by scripts/build-asn.mjs under asn-json/ and asn/) ----------
+
+const MAX_ASNS = 64;
+
+// "13335,AS209242" → sorted, de-duplicated AS numbers
+const parseAsns = (raw: string): number[] => {
+  const out = new Set<number>();
+  for (const part of raw.split(",")) {
+    const m = /^(?:AS)?(\d{1,10})$/i.exec(part.trim());
+    const asn = m ? Number(m[1]) : 0;
+    if (asn < 1 || asn > 0xffffffff) {
+      throw new HTTPException(400, { message: `Invalid AS number "${part.trim()}"` });
+    }
+    out.add(asn);
+  }
+  if (out.size > MAX_ASNS) {
+    throw new HTTPException(400, { message: `At most ${MAX_ASNS} AS numbers per request` });
+  }
+  return Array.from(out).sort((a, b) => a - b);
+};
+
+// Prefixes of every requested ASN, merged; a missing ASN is a 404 rather than a silently smaller list
+const getAsnCidrs = async (asns: number[], bucket: R2Bucket): Promise<string[]> => {
+  const lists = await Promise.all(
+    asns.map(async (asn) => {
+      const obj = await bucket.get(`asn-json/AS${asn}.json`);
+      if (!obj) throw new HTTPException(404, { message: `No prefixes for AS${asn}` });
+      return (await obj.json()) as GeoIPJSON;
+    })
+  );
+  return aggregateCidrs(lists.flatMap((d) => [...(d.cidr4 || []), ...(d.cidr6 || [])]));
+};
+
+// asns come from parseAsns (sorted, unique, at most MAX_ASNS), so every set has one key
+const getAsnSrsKey = (asns: number[]): string => `asn/${asns.map((asn) => `AS${asn}`).join(",")}.srs`;
+
+// Single ASNs are prebuilt by scripts/build-geoip-srs.mjs; combinations (and ASNs without
+// a prebuilt file) are compiled once per build and stored under ondemand/
+const buildAsnSrs = async (
+  env: GeoEnv & { SRS_BUCKET: R2Bucket },
+  asns: number[]
+): Promise<{ key: string; body: ReadableStream | Uint8Array }> => {
+  const bucket = env.SRS_BUCKET;
+  if (asns.length === 1) {
+    const prebuilt = await bucket.get(getAsnSrsKey(asns));
+    if (prebuilt) return { key: getAsnSrsKey(asns), body: prebuilt.body };
+  }
+  const key = await getOnDemandKey(env, getAsnSrsKey(asns));
+  const stored = await bucket.get(key);
+  if (stored) return { key, body: stored.body };
+  const cidrs = await getAsnCidrs(asns, bucket);
+  if (cidrs.length === 0) throw new HTTPException(404, { message: "No prefixes for these ASNs" });
+  const body = await encodeSRS({ version: 3, rules: [{ ip_cidr: cidrs }] });
+  await bucket.put(key, body, { httpMetadata: { contentType: "application/octet-stream" } });
+  return { key, body };
+};
+
+// IP-ASN rules where the target has them (Surge, Shadowrocket, Loon), the ASNs' prefixes
+// elsewhere or with ?expand=1; /asn/13335.srs is a sing-box rule-set of the prefixes
+app.get("/asn/:numbers", async (c) => {
+  let raw = c.req.param("numbers").trim();
+  const env = (c as any).env as GeoEnv | undefined;
+  const bucket = env?.SRS_BUCKET;
+  if (!bucket) {
+    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  }
+
+  const wantSrs = raw.toLowerCase().endsWith(".srs");
+  let suffixFormat: string | null = null;
+  if (wantSrs) raw = raw.slice(0, -".srs".length);
+  else [raw, suffixFormat] = splitFormatSuffix(raw);
+  const asns = parseAsns(raw);
+
+  if (wantSrs) {
+    const { key, body } = await buildAsnSrs({ ...env, SRS_BUCKET: bucket }, asns);
+    const headers = new Headers();
+    headers.set("content-type", "application/octet-stream");
+    headers.set("content-disposition", `inline; filename="${encodeURIComponent(key.split("/").pop()!)}"`);
+    return new Response(body, { headers });
   }
+
+  const format = c.req.query("format") || suffixFormat || "surge";
+  const emitter = getEmitter(format);
+  if (!emitter) {
+    throw new HTTPException(400, { message: `Unknown format "${format}". Supported: ${FORMATS.join(", ")}` });
+  }
+  const expand = c.req.query("expand") === "1" || !emitter.asn;
+  const extra: ExtraRules = expand ? { cidrs: await getAsnCidrs(asns, bucket) } : { asns };
+  const list = await genRuleListFromJson({ name: raw, rules: [] }, null, format, { policy: c.req.query("policy") }, extra);
+  return c.body(list, 200, { "content-type": emitter.contentType });
+});
+
+// ---------- Reverse lookup (prebuilt by scripts/build-lookup.mjs under lookup/) ----------
+
+const getLookupJson = async <T>(c: Context, key: string): Promise<T | null> => {
+  const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
+  if (!bucket) {
+    throw new HTTPException(500, { message: "SRS bucket not configured" });
+  }
+  const obj = await bucket.get(`lookup/${key}`);
+  return obj ? ((await obj.json()) as T) : null;
+};
+
+const HOST_RE = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+
+// Queried host in the form rules are stored in: lowercase, Unicode labels in ASCII
+const normalizeHost = (raw: string): string => normalizeValue("full", raw.trim().replace(/\.$/, ""));
+
+// Compiled keyword/regexp patterns, kept per isolate until the stored list changes
+let domainPatterns: { etag: string; compiled: CompiledPattern[] } | null = null;
+
+const getDomainPatterns = async (c: Context): Promise<CompiledPattern[] | null> => {
   const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
   if (!bucket) {
     throw new HTTPException(500, { message: "SRS bucket not configured" });
   }
-  const obj = await bucket.get("geoip/index.json");
-  if (!obj) {
+  const memo = domainPatterns;
+  const obj = await bucket.get("lookup/domain-patterns.json", memo ? { onlyIf: { etagDoesNotMatch: memo.etag } } : {});
+  if (!obj) return null;
+  if (memo && !("body" in obj)) return memo.compiled; // unchanged: only the metadata is returned
+  const compiled = compileDomainPatterns(await (obj as R2ObjectBody).json<DomainPattern[]>());
+  domainPatterns = { etag: obj.etag, compiled };
+  return compiled;
+};
+
+// Rules matching a host across all categories; null when the lookup index is missing
+const lookupDomain = async (c: Context, host: string) => {
+  const [patterns, ...tries] = await Promise.all([
+    getDomainPatterns(c),
+    ...domainShardsForHost(host).map((i) => getLookupJson<object>(c, `domain/${i}.json`)),
+  ]);
+  if (!patterns && tries.every((t) => !t)) return null;
+  return [
+    ...tries.flatMap((t) => (t ? matchDomainTrie(t, host) : [])),
+    ...matchDomainPatterns(patterns || [], host),
+  ].sort(
+    (a, b) =>
+      a.category.localeCompare(b.category, "en", { sensitivity: "base" }) ||
+      a.type.localeCompare(b.type) ||
+      a.value.localeCompare(b.value)
+  );
+};
+
+// Groups containing an address; null when the lookup index is missing
+const lookupIp = async (c: Context, addr: NonNullable<ReturnType<typeof parseAddress>>) => {
+  const index = await getLookupJson<{ v4: string[]; v6: string[] }>(c, "ip/index.json");
+  if (!index) return null;
+  const family = addr.v4 ? "v4" : "v6";
+  const n = findStart(index[family] || [], addr.value);
+  const shard = n >= 0 ? await getLookupJson<IPSegment[]>(c, `ip/${family}-${n}.json`) : null;
+  const segment = shard ? findSegment(shard, addr.value) : null;
+  return (segment?.[2] || []).map(([category, cidr]) => ({ category, cidr }));
+};
+
+// Which geosite categories contain a host, e.g. /lookup/domain/www.google.com
+app.get("/lookup/domain/:host", async (c) => {
+  const host = normalizeHost(c.req.param("host"));
+  if (!HOST_RE.test(host)) {
+    throw new HTTPException(400, { message: "Invalid host" });
+  }
+  const matches = await lookupDomain(c, host);
+  if (!matches) {
+    throw new HTTPException(404, { message: "Lookup index not found" });
+  }
+  return c.json({ query: host, matches });
+});
+
+// Which geoip groups contain an address, e.g. /lookup/ip/1.2.3.4
+app.get("/lookup/ip/:addr", async (c) => {
+  const raw = c.req.param("addr").trim();
+  const addr = parseAddress(raw);
+  if (!addr) {
+    throw new HTTPException(400, { message: "Invalid IP address" });
+  }
+  const matches = await lookupIp(c, addr);
+  if (!matches) {
+    throw new HTTPException(404, { message: "Lookup index not found" });
+  }
+  return c.json({ query: raw, matches });
+});
+
+// ---------- Search (/geosite?q=…, /geoip?q=… and the browse page at /) ----------
+
+const SEARCH_PARAMS = ["q", "attr", "type", "contents", "page", "limit"];
+const SEARCH_TYPES: Record<GeoKind, string[]> = {
+  geosite: ["domain", "full", "keyword", "regexp"],
+  geoip: ["cidr4", "cidr6"],
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Per-category counts and attributes (scripts/build-catalog.mjs); null before the first build
+const getCatalog = async (kind: GeoKind, env?: GeoEnv): Promise<Catalog | null> => {
+  const obj = await env?.SRS_BUCKET?.get(`${kind}/catalog.json`);
+  return obj ? ((await obj.json()) as Catalog) : null;
+};
+
+const parseSearch = (c: Context, kind: GeoKind) => {
+  const list = (value: string | undefined) =>
+    (value || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+  const query: SearchQuery = { q: (c.req.query("q") || "").trim(), attrs: list(c.req.query("attr")), types: list(c.req.query("type")) };
+  if (kind === "geoip" && query.attrs.length > 0) {
+    throw new HTTPException(400, { message: "attr applies to /geosite only" });
+  }
+  const unknown = query.types.filter((t) => !SEARCH_TYPES[kind].includes(t));
+  if (unknown.length > 0) {
+    throw new HTTPException(400, { message: `Invalid type "${unknown[0]}". Supported: ${SEARCH_TYPES[kind].join(", ")}` });
+  }
+  const page = Number(c.req.query("page") || 1);
+  const limit = Number(c.req.query("limit") || DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new HTTPException(400, { message: "page must be a positive integer" });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new HTTPException(400, { message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+  return { query, page, limit, contents: c.req.query("contents") === "1" };
+};
+
+// Name search plus, with contents=1, the categories whose rules match q as a host
+// (geosite) or an address (geoip), via the reverse lookup index
+const searchIndex = async (c: Context, kind: GeoKind, opts: ReturnType<typeof parseSearch>) => {
+  const env = (c as any).env as GeoEnv | undefined;
+  const { query, contents } = opts;
+  const [names, catalog] = await Promise.all([getNameMap(kind, env), getCatalog(kind, env)]);
+  if (!names) {
     throw new HTTPException(404, { message: "Index not found" });
   }
-  try {
-    const data = (await (obj as any).json?.()) as Record<string, string> | undefined;
-    if (data && typeof data === "object") return c.json(data);
-  } catch (_) {}
-  const ab = await obj.arrayBuffer();
-  const text = new TextDecoder().decode(ab);
-  return c.json(JSON.parse(text));
+  if (!catalog && (query.attrs.length > 0 || query.types.length > 0)) {
+    throw new HTTPException(404, { message: "Search catalog not found" });
+  }
+  let hits = searchNames(names, catalog, query);
+  if (contents && query.q) {
+    const host = normalizeHost(query.q);
+    const addr = kind === "geoip" ? parseAddress(query.q) : null;
+    const matches =
+      kind === "geosite" && HOST_RE.test(host) ? await lookupDomain(c, host) : addr ? await lookupIp(c, addr) : [];
+    const byCategory = new Map<string, unknown[]>();
+    for (const { category, ...match } of matches || []) {
+      byCategory.set(category, [...(byCategory.get(category) || []), match]);
+    }
+    hits = addContentHits(hits, byCategory, catalog, query);
+  }
+  return paginate(hits, opts.page, opts.limit);
+};
+
+const searchResult = (c: Context, kind: GeoKind, hit: SearchHit) => ({
+  name: hit.name,
+  url: `${new URL(c.req.url).origin}/${kind}/${encodeURIComponent(hit.name)}`,
+  ...(hit.aliases.length > 0 ? { aliases: hit.aliases } : {}),
+  ...(hit.entry || {}),
+  ...(hit.matches ? { matches: hit.matches } : {}),
 });
 
+const serveIndex = async (c: Context, kind: GeoKind) => {
+  const query = c.req.query();
+  if (!SEARCH_PARAMS.some((p) => p in query)) {
+    const index = await getIndex(kind, (c as any).env);
+    if (!index) {
+      throw new HTTPException(404, { message: "Index not found" });
+    }
+    return c.json(index);
+  }
+  const opts = parseSearch(c, kind);
+  const { items, ...page } = await searchIndex(c, kind, opts);
+  return c.json({
+    query: { q: opts.query.q, attr: opts.query.attrs, type: opts.query.types, contents: opts.contents },
+    ...page,
+    results: items.map((hit) => searchResult(c, kind, hit)),
+  });
+};
+
+// Browse page: search form and one row per category with a link for every output format
 app.get("/", async (c) => {
-  return c.redirect("https://github.com/Sleepstars/Surge-Geosite-Enhance");
+  const kind: GeoKind = c.req.query("kind") === "geoip" ? "geoip" : "geosite";
+  const opts = parseSearch(c, kind);
+  const page = await searchIndex(c, kind, opts);
+  const pageUrl = (n: number) => {
+    const url = new URL(c.req.url);
+    url.searchParams.set("page", String(n));
+    return `/${url.search}`;
+  };
+  return c.html(renderBrowsePage(kind, opts.query, page, pageUrl));
 });
 
-// SRS (GeoIP) distribution via R2
-app.get("/srs-geoip/:name_with_filter", async (c) => {
-  let raw = c.req.param("name_with_filter").trim();
-  if (!raw || raw.length === 0) {
-    throw new HTTPException(400, { message: "Invalid name parameter" });
+// ---------- Profiles (Surge [Rule] section / sing-box route from a spec) ----------
+
+const MAX_PROFILE_BYTES = 64 * 1024;
+const PROFILE_ID_RE = /^[a-z0-9_-]{1,64}$/i;
+
+// ?target=surge (default) or sing-box; rule names are resolved to their stored keys so
+// unknown categories fail here instead of in the client
+const renderProfile = async (c: Context, text: string) => {
+  const target = c.req.query("target") || "surge";
+  if (!PROFILE_TARGETS.includes(target)) {
+    throw new HTTPException(400, { message: `Unknown target "${target}". Supported: ${PROFILE_TARGETS.join(", ")}` });
   }
-  if (!raw.toLowerCase().endsWith(".srs")) {
-    throw new HTTPException(404, { message: "Not found" });
+  const env = (c as any).env as GeoEnv | undefined;
+  try {
+    const profile = parseProfile(text);
+    for (const rule of profile.rules) {
+      const [key] = await nameCandidates(rule.kind, rule.name, env);
+      if (!key) {
+        throw new ProfileError(`Unknown ${rule.kind} category "${rule.name}"${await didYouMean(rule.kind, rule.name, env)}`);
+      }
+      rule.name = key;
+    }
+    const base = profile.base || new URL(c.req.url).origin;
+    if (target === "sing-box") return c.json(renderSingBoxProfile(profile, base));
+    return c.text(renderSurgeProfile(profile, base));
+  } catch (error) {
+    if (error instanceof ProfileError) throw new HTTPException(400, { message: error.message });
+    throw error;
   }
-  raw = raw.slice(0, -4);
-  const [rawName, rawFilter] = raw.includes("@") ? raw.split("@", 2) : [raw, null];
-  const name = rawName;
-  const filter = rawFilter ? rawFilter.toLowerCase() : null; // v4/v6
+};
+
+// Spec in the request body (JSON or YAML)
+app.post("/profile", async (c) => {
+  const text = await c.req.text();
+  if (text.length > MAX_PROFILE_BYTES) {
+    throw new HTTPException(413, { message: `Profile larger than ${MAX_PROFILE_BYTES} bytes` });
+  }
+  return renderProfile(c, text);
+});
+
+// Spec stored in KV under profile:<id>
+app.get("/profile/:id", async (c) => {
+  const id = c.req.param("id").trim();
+  if (!PROFILE_ID_RE.test(id)) {
+    throw new HTTPException(400, { message: "Invalid profile id" });
+  }
+  const kv = (c as any).env?.GEO_KV as KVNamespace | undefined;
+  if (!kv) {
+    throw new HTTPException(500, { message: "KV not configured" });
+  }
+  const text = await kv.get(`profile:${id}`);
+  if (text === null) {
+    throw new HTTPException(404, { message: "Profile not found" });
+  }
+  return renderProfile(c, text);
+});
+
+// ---------- MISC (hand-maintained lists, prebuilt by scripts/build-misc.mjs) ----------
+
+const MISC_SEGMENT_RE = /^[a-z0-9_-]+$/;
+
+const getMiscKey = (category: string, name: string, ext = ".json"): string =>
+  ext === ".json" ? `misc-json/${category}/${name}.json` : `misc/${category}/${name}${ext}`;
+
+const getMiscJson = async (category: string, name: string, r2?: R2Bucket): Promise<MiscJSON | null> => {
+  if (!r2) return null;
+  const obj = await r2.get(getMiscKey(category, name));
+  return obj ? ((await obj.json()) as MiscJSON) : null;
+};
 
+// Same SRS layout as geosite/geoip: one headless rule with domains and CIDRs.
+// Surge-only raw lines (logical rules) have no SRS equivalent and are dropped.
+// build-misc.mjs prebuilds every list, so this only covers a JSON synced without its
+// SRS; the result is not written back (a stored copy would outlive the next build).
+const buildMiscSrs = async (data: MiscJSON): Promise<Uint8Array> => {
+  const headless: Record<string, unknown> = rulesToHeadless(optimizeRules(data.rules).rules as RuleItem[]);
+  const cidrs = [...(data.cidr4 || []), ...(data.cidr6 || [])];
+  if (cidrs.length > 0) headless.ip_cidr = cidrs;
+  if (Object.keys(headless).length === 0) {
+    throw new HTTPException(404, { message: `No SRS-compatible rules in misc/${data.category}/${data.name}` });
+  }
+  return encodeSRS({ version: 3, rules: [headless] });
+};
+
+app.get("/misc/:category/:name", async (c) => {
+  const category = c.req.param("category").trim().toLowerCase();
+  let name = c.req.param("name").trim().toLowerCase();
   const bucket = (c as any).env?.SRS_BUCKET as R2Bucket | undefined;
   if (!bucket) {
     throw new HTTPException(500, { message: "SRS bucket not configured" });
   }
-  const candidates = Array.from(new Set([name, name.toUpperCase(), name.toLowerCase()]));
-  let found: R2ObjectBody | null = null;
-  let pickedKey = "";
-  for (const n of candidates) {
-    const key = getGeoipSrsKey(n, filter);
-    const obj = await bucket.get(key);
-    if (obj) {
-      found = obj;
-      pickedKey = key;
-      break;
-    }
+
+  const wantSrs = name.endsWith(".srs");
+  let suffixFormat: string | null = null;
+  if (wantSrs) name = name.slice(0, -".srs".length);
+  else if (name.endsWith(".list")) name = name.slice(0, -".list".length);
+  else [name, suffixFormat] = splitFormatSuffix(name);
+  if (!MISC_SEGMENT_RE.test(category) || !MISC_SEGMENT_RE.test(name)) {
+    throw new HTTPException(400, { message: "Invalid misc list path" });
   }
-  const obj = found;
-  if (!obj) {
-    throw new HTTPException(404, { message: "SRS not found" });
+
+  if (wantSrs) {
+    const key = getMiscKey(category, name, ".srs");
+    const cached = await bucket.get(key);
+    let body: ReadableStream | Uint8Array | null = cached?.body ?? null;
+    if (!body) {
+      const data = await getMiscJson(category, name, bucket);
+      if (!data) throw new HTTPException(404, { message: "Misc list not found" });
+      body = await buildMiscSrs(data);
+    }
+    const headers = new Headers();
+    headers.set("content-type", "application/octet-stream");
+    headers.set("content-disposition", `inline; filename="${encodeURIComponent(`${name}.srs`)}"`);
+    return new Response(body, { headers });
   }
-  const headers = new Headers();
-  headers.set("content-type", "application/octet-stream");
-  const suggested = pickedKey.split("/").pop() || pickedKey;
-  headers.set("content-disposition", `inline; filename="${encodeURIComponent(suggested)}"`);
-  if (obj.etag) headers.set("etag", obj.etag);
-  return new Response(obj.body, { headers });
-});
 
-app.get("/misc/:category/:name", async (c) => {
-  const category = c.req.param("category").toLowerCase();
-  const name = c.req.param("name").toLowerCase();
-  const githubRaw = await fetch(
-    `https://raw.githubusercontent.com/Sleepstars/Surge-Geosite-Enhance/refs/heads/main/misc/${category}/${name}.list`
-  )
-    .then((res) => {
-      if (res.ok) {
-        return res.text();
-      }
-      throw new HTTPException(500, {
-        message: `Failed to fetch content from GitHub: ${res.status} ${res.statusText}`,
-      });
-    })
-    .catch((err) => {
-      throw new HTTPException(500, {
-        message: `Failed to fetch content from GitHub: ${err.message}`,
-      });
-    });
-  return c.text(githubRaw);
+  const data = await getMiscJson(category, name, bucket);
+  if (!data) {
+    throw new HTTPException(404, { message: "Misc list not found" });
+  }
+  const format = c.req.query("format") || suffixFormat || "surge";
+  const regexpMode = (c.req.query("regexp") || "exact-only") as RegexpMode;
+  if (!REGEXP_MODES.includes(regexpMode)) {
+    throw new HTTPException(400, { message: `Invalid regexp mode. Supported: ${REGEXP_MODES.join(", ")}` });
+  }
+  const list = await genRuleListFromJson(
+    data,
+    null,
+    format,
+    {
+      policy: c.req.query("policy"),
+      dns: c.req.query("dns"),
+      ip: c.req.query("ip"),
+      regexp: regexpMode,
+      optimize: c.req.query("optimize") !== "0",
+    },
+    { cidrs: [...(data.cidr4 || []), ...(data.cidr6 || [])], raw: data.raw }
+  );
+  return c.body(list, 200, { "content-type": getEmitter(format)!.contentType });
 });
 
 export default app;
@@ -0,0 +1,124 @@
+import { parse as parseYaml } from "yaml";
+import { FilterSyntaxError, parseFilter } from "../shared/filter.mjs";
+
+// Rule sections generated from a small profile spec (JSON or YAML), e.g.
+//   rules:
+//     - { geosite: category-ads-all, policy: REJECT }
+//     - { geosite: google@!cn, policy: Proxy }
+//     - { geoip: cn, policy: DIRECT }
+//   final: Proxy
+// Surge gets a [Rule] section of RULE-SET lines pointing at /geosite and /geoip; sing-box
+// gets route.rule_set (remote SRS from /srs and /srs-geoip) plus route.rules. Order is kept.
+
+export type ProfileKind = "geosite" | "geoip";
+export type ProfileRule = { kind: ProfileKind; name: string; filter: string | null; policy: string };
+export type Profile = { base: string | null; rules: ProfileRule[]; final: string | null };
+
+export const PROFILE_TARGETS = ["surge", "sing-box"];
+
+export class ProfileError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ProfileError";
+  }
+}
+
+const GEOIP_FILTERS = ["v4", "v6", "ipv4", "ipv6"];
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const requireString = (value: unknown, what: string): string => {
+  if (typeof value !== "string" || value.trim() === "") throw new ProfileError(`${what} must be a non-empty string`);
+  return value.trim();
+};
+
+// Policies are written into comma-separated Surge lines: a "," or a line break would
+// add fields or whole rules ("Proxy\nFINAL,DIRECT")
+const requirePolicy = (value: unknown, what: string): string => {
+  const policy = requireString(value, what);
+  if (/[,\r\n]/.test(policy)) throw new ProfileError(`${what} must not contain commas or line breaks`);
+  return policy;
+};
+
+const parseRule = (raw: unknown, i: number): ProfileRule => {
+  const at = `rules[${i}]`;
+  if (!isRecord(raw)) throw new ProfileError(`${at} must be an object`);
+  const kinds = (["geosite", "geoip"] as const).filter((k) => k in raw);
+  if (kinds.length !== 1) throw new ProfileError(`${at} needs exactly one of "geosite" or "geoip"`);
+  const kind = kinds[0];
+  const [name, rawFilter] = requireString(raw[kind], `${at}.${kind}`).split("@", 2);
+  if (!name) throw new ProfileError(`${at}.${kind} has no category name`);
+  if (name.includes("+")) {
+    throw new ProfileError(`${at}.${kind}: combined categories are not supported in profiles; add one rule per category`);
+  }
+  const filter = rawFilter ? rawFilter.toLowerCase() : null;
+  if (filter && kind === "geoip" && !GEOIP_FILTERS.includes(filter)) {
+    throw new ProfileError(`${at}.geoip: filter must be one of ${GEOIP_FILTERS.join(", ")}`);
+  }
+  if (filter && kind === "geosite") {
+    try {
+      parseFilter(filter);
+    } catch (error) {
+      if (error instanceof FilterSyntaxError) throw new ProfileError(`${at}.geosite: invalid filter: ${error.message}`);
+      throw error;
+    }
+  }
+  return { kind, name, filter, policy: requirePolicy(raw.policy, `${at}.policy`) };
+};
+
+// YAML 1.2 is a superset of JSON, so one parser covers both
+export const parseProfile = (text: string): Profile => {
+  let spec: unknown;
+  try {
+    spec = parseYaml(text);
+  } catch (error) {
+    throw new ProfileError(`Invalid profile: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  if (!isRecord(spec)) throw new ProfileError("Profile must be an object with a rules list");
+  if (!Array.isArray(spec.rules) || spec.rules.length === 0) throw new ProfileError("rules must be a non-empty list");
+  const base = spec.base === undefined ? null : requireString(spec.base, "base").replace(/\/+$/, "");
+  if (base && !/^https?:\/\/[^/]+/.test(base)) throw new ProfileError("base must be an http(s) URL");
+  const final = spec.final === undefined ? null : requirePolicy(spec.final, "final");
+  return { base, rules: spec.rules.map(parseRule), final };
+};
+
+const suffix = (filter: string | null) => (filter ? `@${filter}` : "");
+const urlSuffix = (filter: string | null) => (filter ? `@${encodeURIComponent(filter)}` : "");
+
+// Surge [Rule] section; GeoIP sets only hold IP rules, so they never need DNS resolution
+export const renderSurgeProfile = (profile: Profile, base: string): string => {
+  const lines = ["[Rule]"];
+  for (const { kind, name, filter, policy } of profile.rules) {
+    const url = `${base}/${kind}/${encodeURIComponent(name)}${urlSuffix(filter)}`;
+    lines.push(`RULE-SET,${url},${policy}${kind === "geoip" ? ",no-resolve" : ""}`);
+  }
+  if (profile.final) lines.push(`FINAL,${profile.final}`);
+  return lines.join("\n") + "\n";
+};
+
+// sing-box route: one remote binary rule-set per entry; consecutive entries with the same
+// policy share a rule. REJECT becomes the reject action (sing-box 1.11+).
+export const renderSingBoxProfile = (profile: Profile, base: string) => {
+  const ruleSet: Array<{ tag: string; type: "remote"; format: "binary"; url: string }> = [];
+  const rules: Array<{ rule_set: string[]; outbound?: string; action?: string }> = [];
+  let last: string | null = null;
+  for (const { kind, name, filter, policy } of profile.rules) {
+    if (kind === "geoip" && filter) {
+      throw new ProfileError(`geoip ${name}@${filter}: IPv4/IPv6-only sets are not available as SRS`);
+    }
+    const tag = `${kind}-${name}${suffix(filter)}`;
+    if (!ruleSet.some((r) => r.tag === tag)) {
+      const route = kind === "geosite" ? "srs" : "srs-geoip";
+      ruleSet.push({ tag, type: "remote", format: "binary", url: `${base}/${route}/${encodeURIComponent(name)}${urlSuffix(filter)}.srs` });
+    }
+    if (policy === last) {
+      const shared = rules[rules.length - 1].rule_set;
+      if (!shared.includes(tag)) shared.push(tag);
+      continue;
+    }
+    rules.push(policy.toLowerCase() === "reject" ? { rule_set: [tag], action: "reject" } : { rule_set: [tag], outbound: policy });
+    last = policy;
+  }
+  return { route: { rule_set: ruleSet, rules, ...(profile.final ? { final: profile.final } : {}) } };
+};
@@ -0,0 +1,77 @@
+import type { NameMap } from "../shared/names.mjs";
+import type { Catalog, CatalogEntry } from "./types";
+
+// Name search over the canonical name map (names and aliases) plus the per-category
+// catalog (rule counts by type, attribute histogram) for ?attr= and ?type= filters.
+// Ranking: exact name or alias, then prefix, then substring, then content matches;
+// ties sort by name.
+
+export type SearchQuery = { q: string; attrs: string[]; types: string[] };
+export type SearchHit = { name: string; rank: number; aliases: string[]; entry?: CatalogEntry; matches?: unknown[] };
+export type Page<T> = { total: number; page: number; limit: number; pages: number; items: T[] };
+
+const rankOf = (key: string, q: string): number => {
+  if (!q) return 0;
+  if (key === q) return 0;
+  if (key.startsWith(q)) return 1;
+  if (key.includes(q)) return 2;
+  return -1;
+};
+
+// attr=cn matches "cn" and any "cn=<value>" integer attribute
+const hasAttr = (entry: CatalogEntry, attr: string): boolean =>
+  Object.keys(entry.attrs || {}).some((a) => a === attr || a.startsWith(`${attr}=`));
+
+export const matchesFilters = (entry: CatalogEntry | undefined, query: SearchQuery): boolean => {
+  if (query.attrs.length === 0 && query.types.length === 0) return true;
+  if (!entry) return false;
+  return (
+    query.attrs.every((a) => hasAttr(entry, a)) && query.types.every((t) => (entry.counts[t] || 0) > 0)
+  );
+};
+
+export const searchNames = (names: NameMap, catalog: Catalog | null, query: SearchQuery): SearchHit[] => {
+  const q = query.q.toLowerCase();
+  const hits = new Map<string, SearchHit>();
+  for (const [key, name] of Object.entries(names)) {
+    const rank = rankOf(key, q);
+    const isAlias = key !== name.toLowerCase();
+    let hit = hits.get(name);
+    if (!hit) {
+      hit = { name, rank: -1, aliases: [], entry: catalog?.[name] };
+      hits.set(name, hit);
+    }
+    if (isAlias) hit.aliases.push(key);
+    if (rank >= 0 && (hit.rank < 0 || rank < hit.rank)) hit.rank = rank;
+  }
+  return Array.from(hits.values())
+    .filter((hit) => hit.rank >= 0 && matchesFilters(hit.entry, query))
+    .sort((a, b) => a.rank - b.rank || a.name.localeCompare(b.name, "en", { sensitivity: "base" }));
+};
+
+// Categories whose contents match the query (reverse lookup of a host or address) rank
+// after every name match; filters apply to them as well
+export const addContentHits = (
+  hits: SearchHit[],
+  contents: Map<string, unknown[]>,
+  catalog: Catalog | null,
+  query: SearchQuery
+): SearchHit[] => {
+  const byName = new Map(hits.map((hit) => [hit.name, hit]));
+  const extra: SearchHit[] = [];
+  for (const [name, matches] of contents) {
+    const hit = byName.get(name);
+    if (hit) {
+      hit.matches = matches;
+    } else if (matchesFilters(catalog?.[name], query)) {
+      extra.push({ name, rank: 3, aliases: [], entry: catalog?.[name], matches });
+    }
+  }
+  extra.sort((a, b) => a.name.localeCompare(b.name, "en", { sensitivity: "base" }));
+  return [...hits, ...extra];
+};
+
+export const paginate = <T>(items: T[], page: number, limit: number): Page<T> => {
+  const pages = Math.max(1, Math.ceil(items.length / limit));
+  return { total: items.length, page, limit, pages, items: items.slice((page - 1) * limit, page * limit) };
+};
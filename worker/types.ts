@@ -0,0 +1,38 @@
+// Shapes of the prebuilt JSON objects stored in R2 (generated by CI)
+export type RuleType = "domain" | "full" | "keyword" | "regexp";
+// source: id of the sources.json entry that added the rule, when not the category's own source
+export type RuleItem = { type: RuleType; value: string; attrs?: string[]; source?: string; origin?: string };
+export type RuleJSON = { name: string; rules: RuleItem[] };
+
+export type GeoIPJSON = { name: string; cidr4?: string[]; cidr6?: string[] };
+
+// Per-category metadata written next to the JSON (geosite-meta/, geoip-meta/)
+export type SourceInfo = { id?: string; url: string; sha256: string; builtAt: string };
+export type CategoryMeta = {
+  name: string;
+  total: number;
+  counts: Record<string, number>;
+  attrs?: Record<string, number>; // geosite only: attribute → rule count
+  sha256: string; // of the category JSON object
+  source: SourceInfo; // sources.json entry that provided the category
+  sources?: string[]; // all contributing source ids, when merged from several
+  custom?: string; // custom/ file that defined or overlaid this category
+};
+
+// Hand-maintained Surge lists under misc/, parsed by scripts/build-misc.mjs
+// raw: lines with no portable equivalent (e.g. AND,(...)), emitted for Surge only
+export type MiscJSON = RuleJSON & GeoIPJSON & { category: string; raw?: string[] };
+
+// Build history (geosite-history/, appended by scripts/sync-r2.mjs)
+// builds.json: one entry per synced build; id hashes the served categories (custom/ included),
+// version is the combined source hash and repeats across custom/-only builds. Entries
+// recorded before build ids existed have no id
+export type HistoryBuild = { id?: string; version: string; builtAt: string };
+// <NAME>/log.json: one entry per build that changed the category; n indexes builds.json,
+// sha256 names the snapshot <NAME>/<sha256>.json (null: category removed in that build)
+export type HistoryEntry = HistoryBuild & { n: number; sha256: string | null };
+
+// Search catalog (<kind>/catalog.json, written by scripts/build-catalog.mjs): the metadata
+// fields needed to filter categories without reading every metadata object
+export type CatalogEntry = Pick<CategoryMeta, "total" | "counts" | "attrs">;
+export type Catalog = Record<string, CatalogEntry>;